@@ -0,0 +1 @@
+window.config = { env: 'demo' };
\ No newline at end of file
@@ -0,0 +1,31 @@
+const path = require('path');
+const { WebPlugin } = require('../../index');
+
+module.exports = {
+    output: {
+        path: path.resolve(__dirname, 'dist'),
+        filename: '[name].js',
+    },
+    entry: {
+        A: './a',
+    },
+    plugins: [
+        // index.html has a <meta http-equiv="Content-Security-Policy"> with hash of every inline script and style
+        new WebPlugin({
+            filename: 'index.html',
+            template: './template.html',
+            csp: {
+                type: 'hash',
+            },
+        }),
+        // nonce.html add nonce to every script and style,server replace __CSP_NONCE__ and send policy in nonce.csp.json by http header
+        new WebPlugin({
+            filename: 'nonce.html',
+            template: './template.html',
+            csp: {
+                type: 'nonce',
+                output: 'json',
+            },
+        }),
+    ]
+};
\ No newline at end of file
@@ -0,0 +1,30 @@
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+
+// build every compiler and check its html is output in detected environment,use WEBPACK env to test with other webpack install
+const webpackPath = process.env.WEBPACK || 'webpack';
+const major = parseInt(require(`${webpackPath}/package.json`).version, 10);
+if (major < 4) {
+    console.log(`webpack ${major} has no mode and optimization, detect-env check need webpack >= 4, skip`);
+    process.exit(0);
+}
+const webpack = require(webpackPath);
+process.chdir(__dirname);
+const expected = {
+    'mode-production': 'production',
+    'node-env': 'production',
+    'mode-development': 'development',
+};
+webpack(require('./webpack.config'), (err, stats) => {
+    assert.ifError(err);
+    stats.stats.forEach(({ compilation }) => assert.deepStrictEqual(compilation.errors, []));
+    Object.keys(expected).forEach(name => {
+        const html = fs.readFileSync(path.resolve(__dirname, 'dist', name, 'index.html'), 'utf8');
+        const isProduction = expected[name] === 'production';
+        // html is minified and dev.js is not loaded in production environment
+        assert.strictEqual(html.indexOf('\n') < 0, isProduction, `${name}/index.html should be minified only in production`);
+        assert.strictEqual(html.indexOf('dev.js') < 0, isProduction, `${name}/index.html should load dev.js only in development`);
+    });
+    console.log('detect-env check passed');
+});
\ No newline at end of file
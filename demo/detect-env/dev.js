@@ -0,0 +1 @@
+console.log('only load in development environment');
\ No newline at end of file
@@ -0,0 +1,7 @@
+/******/ (() => { // webpackBootstrap
+/*!**************!*\
+  !*** ./a.js ***!
+  \**************/
+alert('hello web-webpack-plugin from a');
+/******/ })()
+;
\ No newline at end of file
@@ -0,0 +1,7 @@
+/******/ (() => { // webpackBootstrap
+/*!****************!*\
+  !*** ./dev.js ***!
+  \****************/
+console.log('only load in development environment');
+/******/ })()
+;
\ No newline at end of file
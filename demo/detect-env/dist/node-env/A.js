@@ -0,0 +1,4 @@
+/******/ (() => { // webpackBootstrap
+alert('hello web-webpack-plugin from a');
+/******/ })()
+;
\ No newline at end of file
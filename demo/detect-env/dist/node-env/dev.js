@@ -0,0 +1,4 @@
+/******/ (() => { // webpackBootstrap
+console.log('only load in development environment');
+/******/ })()
+;
\ No newline at end of file
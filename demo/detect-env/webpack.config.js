@@ -0,0 +1,42 @@
+const path = require('path');
+const { WebPlugin } = require('../../index');
+
+// environment of every compiler is detected from webpack >= 4 mode and optimization.nodeEnv
+function makeConfig(name, config) {
+    return Object.assign({
+        name,
+        devtool: false,
+        output: {
+            path: path.resolve(__dirname, 'dist', name),
+            filename: '[name].js',
+        },
+        entry: {
+            A: './a',
+            dev: './dev',
+        },
+        plugins: [
+            new WebPlugin({
+                filename: 'index.html',
+                template: './template.html',
+            }),
+        ]
+    }, config);
+}
+
+module.exports = [
+    // production environment
+    makeConfig('mode-production', {
+        mode: 'production',
+    }),
+    // process.env.NODE_ENV is replaced with production in code,production environment
+    makeConfig('node-env', {
+        mode: 'none',
+        optimization: {
+            nodeEnv: 'production',
+        },
+    }),
+    // development environment
+    makeConfig('mode-development', {
+        mode: 'development',
+    }),
+];
\ No newline at end of file
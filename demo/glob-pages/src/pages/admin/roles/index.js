@@ -0,0 +1 @@
+alert('hello web-webpack-plugin from admin/roles');
\ No newline at end of file
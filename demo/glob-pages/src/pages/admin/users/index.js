@@ -0,0 +1 @@
+alert('hello web-webpack-plugin from admin/users');
\ No newline at end of file
@@ -0,0 +1 @@
+window.Promise = window.Promise || function () {};
\ No newline at end of file
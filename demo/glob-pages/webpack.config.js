@@ -0,0 +1,19 @@
+const path = require('path');
+const { AutoWebPlugin } = require('../../index');
+
+module.exports = {
+    output: {
+        path: path.resolve(__dirname, 'dist'),
+        filename: '[name].js',
+    },
+    entry: {
+        polyfill: './src/polyfill',
+    },
+    plugins: [
+        // every index.js under src/pages is a page,src/pages/admin/users/index.js output admin/users.html
+        new AutoWebPlugin('./src/pages/**/index.js', {
+            template: './src/template.html',
+            outputPagemap: true,
+        }),
+    ]
+};
\ No newline at end of file
@@ -0,0 +1,37 @@
+const path = require('path');
+const { WebPlugin } = require('../../index');
+
+module.exports = {
+    output: {
+        path: path.resolve(__dirname, 'dist'),
+        filename: '[name].js',
+    },
+    entry: {
+        A: './a',
+    },
+    plugins: [
+        // set title meta favicon and base in head,tags with same key in template are replaced
+        new WebPlugin({
+            filename: 'index.html',
+            template: './template.html',
+            title: 'Home',
+            meta: [
+                { name: 'viewport', content: 'width=device-width,initial-scale=1' },
+                { 'http-equiv': 'X-UA-Compatible', content: 'IE=edge' },
+            ],
+            favicon: './favicon.svg',
+            base: { href: '/', target: '_blank' },
+        }),
+        // meta can be an object of meta name to content
+        new WebPlugin({
+            filename: 'object-meta.html',
+            requires: ['A'],
+            title: 'Object meta',
+            meta: {
+                description: 'web-webpack-plugin demo',
+                keywords: 'webpack,html',
+            },
+            base: '/app/',
+        }),
+    ]
+};
\ No newline at end of file
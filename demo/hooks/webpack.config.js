@@ -0,0 +1,44 @@
+const path = require('path');
+const { WebPlugin } = require('../../index');
+
+/**
+ * add analytics script to every page and mark page with its name by WebPlugin hooks
+ */
+class AnalyticsPlugin {
+    apply(compiler) {
+        compiler.plugin('compilation', (compilation) => {
+            const hooks = WebPlugin.getHooks(compilation);
+            hooks.alterAssetTags.tap('AnalyticsPlugin', (data) => {
+                data.assetTags.scripts.push({
+                    tagName: 'script',
+                    attrs: { src: 'https://analytics.cn/a.js', async: true, defer: false },
+                });
+                return data;
+            });
+            hooks.afterDocumentBuilt.tap('AnalyticsPlugin', (data) => {
+                data.htmlDocument.setTitle(`page ${data.pageName}`);
+                return data;
+            });
+            hooks.afterEmit.tap('AnalyticsPlugin', (data) => {
+                console.log(`${data.filename} emitted,${data.html.length} chars`);
+            });
+        });
+    }
+}
+
+module.exports = {
+    output: {
+        path: path.resolve(__dirname, 'dist'),
+        filename: '[name].js',
+    },
+    entry: {
+        A: './a',
+    },
+    plugins: [
+        new WebPlugin({
+            filename: 'index.html',
+            template: './template.html',
+        }),
+        new AnalyticsPlugin(),
+    ]
+};
\ No newline at end of file
@@ -0,0 +1,2 @@
+require('./shared.css');
+require('./a.css');
\ No newline at end of file
@@ -0,0 +1 @@
+require('./shared.css');
\ No newline at end of file
@@ -0,0 +1 @@
+alert('hello web-webpack-plugin from c');
\ No newline at end of file
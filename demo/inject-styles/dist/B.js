@@ -0,0 +1,10 @@
+webpackJsonp([1],{
+
+/***/ 3:
+/***/ (function(module, exports, __webpack_require__) {
+
+__webpack_require__(0);
+
+/***/ })
+
+},[3]);
\ No newline at end of file
@@ -0,0 +1,40 @@
+const path = require('path');
+const webpack = require('webpack');
+const ExtractTextPlugin = require('extract-text-webpack-plugin');
+const { WebPlugin } = require('../../index');
+
+module.exports = {
+    output: {
+        path: path.resolve(__dirname, 'dist'),
+        filename: '[name].js',
+    },
+    entry: {
+        A: './a',
+        B: './b',
+        C: './c',
+    },
+    module: {
+        loaders: [
+            {
+                test: /\.css$/,
+                loader: ExtractTextPlugin.extract({
+                    fallback: 'style-loader',
+                    use: 'css-loader'
+                })
+            }
+        ]
+    },
+    plugins: [
+        new ExtractTextPlugin('[name].css'),
+        // css used by A and B is extracted into shared.css
+        new webpack.optimize.CommonsChunkPlugin({
+            name: 'shared',
+            chunks: ['A', 'B'],
+        }),
+        // every css file output by required entries is injected,C output no css so no <link> for it
+        new WebPlugin({
+            filename: 'index.html',
+            requires: ['A', 'B', 'C'],
+        }),
+    ]
+};
\ No newline at end of file
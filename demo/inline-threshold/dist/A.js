@@ -0,0 +1,8 @@
+webpackJsonp([1],[
+/* 0 */
+/***/ (function(module, exports) {
+
+alert('hello web-webpack-plugin from a');
+
+/***/ })
+],[0]);
\ No newline at end of file
@@ -0,0 +1,9 @@
+webpackJsonp([0],[
+/* 0 */,
+/* 1 */
+/***/ (function(module, exports) {
+
+alert('hello web-webpack-plugin from b');
+
+/***/ })
+],[1]);
\ No newline at end of file
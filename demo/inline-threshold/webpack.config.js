@@ -0,0 +1,34 @@
+const path = require('path');
+const webpack = require('webpack');
+const { WebPlugin } = require('../../index');
+
+module.exports = {
+    output: {
+        path: path.resolve(__dirname, 'dist'),
+        filename: '[name].js',
+    },
+    entry: {
+        A: './a',
+        B: './b',
+    },
+    plugins: [
+        // extract webpack runtime into runtime.js
+        new webpack.optimize.CommonsChunkPlugin({
+            name: 'runtime',
+            minChunks: Infinity,
+        }),
+        // inline runtime.js as it's smaller than 8KB and match inlineTest
+        new WebPlugin({
+            filename: 'index.html',
+            template: './template.html',
+            inlineThreshold: 8192,
+            inlineTest: /^runtime/,
+        }),
+        // inline every chunk file smaller than 1KB,B.js is not inlined for _noinline
+        new WebPlugin({
+            filename: 'small.html',
+            template: './template.html',
+            inlineThreshold: 1024,
+        }),
+    ]
+};
\ No newline at end of file
@@ -0,0 +1 @@
+alert('hello web-webpack-plugin from a');
\ No newline at end of file
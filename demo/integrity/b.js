@@ -0,0 +1,2 @@
+require('./b.css');
+alert('hello web-webpack-plugin from b');
\ No newline at end of file
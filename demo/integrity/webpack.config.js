@@ -0,0 +1,38 @@
+const path = require('path');
+const ExtractTextPlugin = require('extract-text-webpack-plugin');
+const { WebPlugin } = require('../../index');
+
+module.exports = {
+    output: {
+        path: path.resolve(__dirname, 'dist'),
+        filename: '[name].js',
+        publicPath: 'https://cdn.cn/',
+    },
+    entry: {
+        A: './a',
+        B: './b',
+    },
+    module: {
+        loaders: [
+            {
+                test: /\.css$/,
+                loaders: ExtractTextPlugin.extract({
+                    fallback: 'style-loader',
+                    use: ['css-loader'],
+                }),
+            },
+        ]
+    },
+    plugins: [
+        new ExtractTextPlugin({
+            filename: '[name].css',
+        }),
+        new WebPlugin({
+            filename: 'index.html',
+            template: './template.html',
+            // add integrity attr to scripts and styles load from cdn
+            integrity: 'sha384',
+            crossorigin: 'anonymous',
+        }),
+    ]
+};
\ No newline at end of file
@@ -0,0 +1,17 @@
+webpackJsonp([1],[
+/* 0 */
+/***/ (function(module, exports) {
+
+alert('hello web-webpack-plugin from home');
+
+/***/ }),
+/* 1 */,
+/* 2 */,
+/* 3 */
+/***/ (function(module, exports, __webpack_require__) {
+
+module.exports = __webpack_require__(0);
+
+
+/***/ })
+],[3]);
\ No newline at end of file
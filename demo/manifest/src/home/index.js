@@ -0,0 +1 @@
+alert('hello web-webpack-plugin from home');
\ No newline at end of file
@@ -0,0 +1 @@
+alert('hello web-webpack-plugin from login');
\ No newline at end of file
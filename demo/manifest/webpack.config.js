@@ -0,0 +1,28 @@
+const path = require('path');
+const { AutoWebPlugin } = require('../../index');
+
+module.exports = {
+    output: {
+        path: path.resolve(__dirname, 'dist'),
+        filename: '[name].js',
+        publicPath: 'https://cdn.cn/',
+    },
+    entry: {
+        polyfill: './src/polyfill',
+    },
+    plugins: [
+        new AutoWebPlugin('./src/', {
+            template: './src/template.html',
+            integrity: 'sha256',
+            commonsChunk: {
+                name: 'common',
+                minChunks: 2,
+            },
+            // output manifest.json contains every page's scripts and styles,so backend can render pages by itself
+            manifest: {
+                filename: 'manifest.json',
+                serialize: manifest => JSON.stringify(manifest, null, 2),
+            },
+        }),
+    ]
+};
\ No newline at end of file
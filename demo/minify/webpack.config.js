@@ -0,0 +1,30 @@
+const path = require('path');
+const { WebPlugin } = require('../../index');
+
+module.exports = {
+    output: {
+        path: path.resolve(__dirname, 'dist'),
+        filename: '[name].js',
+    },
+    entry: {
+        A: './a',
+    },
+    plugins: [
+        // minify html with default options,html is minified in production env by default
+        new WebPlugin({
+            filename: 'index.html',
+            template: './template.html',
+            minify: true,
+        }),
+        // keep comments and whitespace,minify inline style with custom function
+        new WebPlugin({
+            filename: 'custom.html',
+            template: './template.html',
+            minify: {
+                collapseWhitespace: false,
+                removeComments: false,
+                minifyCSS: css => css.replace(/\s+/g, ' ').trim(),
+            },
+        }),
+    ]
+};
\ No newline at end of file
@@ -0,0 +1,32 @@
+const path = require('path');
+const { WebPlugin } = require('../../index');
+
+/**
+ * build modern and legacy scripts by two compilers,output them to one html
+ * browser support module load A.modern.js,other browser load A.js
+ * @param moduleType module or nomodule
+ * @param filename
+ */
+function config(moduleType, filename) {
+    return {
+        output: {
+            path: path.resolve(__dirname, 'dist'),
+            filename,
+        },
+        entry: {
+            A: './a',
+        },
+        plugins: [
+            new WebPlugin({
+                filename: 'index.html',
+                template: './template.html',
+                moduleType,
+            }),
+        ]
+    };
+}
+
+module.exports = [
+    config('module', '[name].modern.js'),
+    config('nomodule', '[name].js'),
+];
\ No newline at end of file
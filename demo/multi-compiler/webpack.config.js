@@ -0,0 +1,30 @@
+const path = require('path');
+const webpack = require('webpack');
+const { WebPlugin } = require('../../index');
+
+// production and development compilers run in one process,environment is detected for every compiler
+function makeConfig(env) {
+    return {
+        name: env,
+        output: {
+            path: path.resolve(__dirname, 'dist', env),
+            filename: '[name].js',
+        },
+        entry: {
+            A: './a',
+            dev: './dev',
+        },
+        plugins: [
+            new webpack.DefinePlugin({
+                'process.env.NODE_ENV': JSON.stringify(env),
+            }),
+            // dist/production/index.html is minified without dev.js,dist/development/index.html is pretty with dev.js
+            new WebPlugin({
+                filename: 'index.html',
+                template: './template.html',
+            }),
+        ]
+    };
+}
+
+module.exports = [makeConfig('production'), makeConfig('development')];
\ No newline at end of file
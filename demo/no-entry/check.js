@@ -0,0 +1,24 @@
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+
+// build config without entry and check every page is output,use WEBPACK env to test with other webpack install
+const webpackPath = process.env.WEBPACK || 'webpack';
+const major = parseInt(require(`${webpackPath}/package.json`).version, 10);
+if (major < 5) {
+    console.log(`webpack ${major} require entry in config, no-entry check need webpack >= 5, skip`);
+    process.exit(0);
+}
+const webpack = require(webpackPath);
+process.chdir(__dirname);
+webpack(require('./webpack.config'), (err, stats) => {
+    assert.ifError(err);
+    assert.deepStrictEqual(stats.compilation.errors, []);
+    const dist = path.resolve(__dirname, 'dist');
+    ['home', 'login'].forEach(pageName => {
+        const html = fs.readFileSync(path.resolve(dist, `${pageName}.html`), 'utf8');
+        assert(html.indexOf(`src="${pageName}.js"`) >= 0, `${pageName}.html should load ${pageName}.js`);
+        assert(fs.existsSync(path.resolve(dist, `${pageName}.js`)), `${pageName}.js should be output`);
+    });
+    console.log('no-entry check passed');
+});
\ No newline at end of file
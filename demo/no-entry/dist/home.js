@@ -0,0 +1,7 @@
+/******/ (() => { // webpackBootstrap
+/*!***************************!*\
+  !*** ./src/home/index.js ***!
+  \***************************/
+alert('hello web-webpack-plugin from home');
+/******/ })()
+;
\ No newline at end of file
@@ -0,0 +1,7 @@
+/******/ (() => { // webpackBootstrap
+/*!****************************!*\
+  !*** ./src/login/index.js ***!
+  \****************************/
+alert('hello web-webpack-plugin from login');
+/******/ })()
+;
\ No newline at end of file
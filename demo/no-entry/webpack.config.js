@@ -0,0 +1,18 @@
+const path = require('path');
+const { AutoWebPlugin } = require('../../index');
+
+// no entry in config,all entries come from pages found by AutoWebPlugin,webpack 2 3 require entry so it need webpack >= 5
+module.exports = {
+    mode: 'development',
+    devtool: false,
+    context: __dirname,
+    output: {
+        path: path.resolve(__dirname, 'dist'),
+        filename: '[name].js',
+    },
+    plugins: [
+        new AutoWebPlugin('./src/', {
+            template: './src/template.html',
+        }),
+    ]
+};
\ No newline at end of file
@@ -0,0 +1 @@
+document.getElementById('app').textContent = 'admin page';
\ No newline at end of file
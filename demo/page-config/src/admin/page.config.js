@@ -0,0 +1,6 @@
+// page config can be a function of page name
+module.exports = pageName => ({
+    title: `${pageName} | User Admin`,
+    template: './template.html',
+    filename: 'user-admin',
+});
\ No newline at end of file
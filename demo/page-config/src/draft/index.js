@@ -0,0 +1 @@
+document.getElementById('app').textContent = 'draft page';
\ No newline at end of file
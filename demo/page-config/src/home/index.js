@@ -0,0 +1 @@
+document.getElementById('app').textContent = 'home page';
\ No newline at end of file
@@ -0,0 +1,23 @@
+const path = require('path');
+const { AutoWebPlugin } = require('../../index');
+
+module.exports = {
+    output: {
+        path: path.resolve(__dirname, 'dist'),
+        filename: '[name].js',
+    },
+    entry: {
+        polyfill: './polyfill',
+    },
+    plugins: [
+        // page.json or page.config.js in page dir override options for this page only
+        new AutoWebPlugin('./src/', {
+            template: './src/template.html',
+            templateEngine: true,
+            templateData: {
+                theme: 'light',
+            },
+            outputPagemap: true,
+        }),
+    ]
+};
\ No newline at end of file
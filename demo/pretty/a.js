@@ -0,0 +1 @@
+document.querySelector('main p').title = 'hello';
\ No newline at end of file
@@ -0,0 +1,23 @@
+const path = require('path');
+const { WebPlugin } = require('../../index');
+
+module.exports = {
+    output: {
+        path: path.resolve(__dirname, 'dist'),
+        filename: '[name].js',
+    },
+    entry: {
+        A: './a',
+    },
+    plugins: [
+        // block elements are placed on its own line with indent,<section> with text and its descendants are keep as it is
+        new WebPlugin({
+            filename: 'index.html',
+            template: './template.html',
+            pretty: {
+                indent: 2,
+                wrapAttributes: 60,
+            },
+        }),
+    ]
+};
\ No newline at end of file
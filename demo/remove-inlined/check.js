@@ -0,0 +1,22 @@
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+
+// check files in dist after build,chunks shared across pages should be keep if any page still load them by url
+const dist = path.resolve(__dirname, 'dist');
+const exists = filename => fs.existsSync(path.resolve(dist, filename));
+const home = fs.readFileSync(path.resolve(dist, 'home.html'), 'utf8');
+const login = fs.readFileSync(path.resolve(dist, 'login.html'), 'utf8');
+
+// page entry chunks are inlined in their own page only
+assert(!exists('home.js'), 'home.js is inlined in home.html and should be removed');
+assert(!exists('login.js'), 'login.js is inlined in login.html and should be removed');
+// common chunk is inlined in home.html but login.html load it by url
+assert(home.indexOf('src="common.js"') < 0, 'common.js should be inlined in home.html');
+assert(login.indexOf('src="common.js"') >= 0, 'login.html should load common.js by url');
+assert(exists('common.js'), 'common.js is still load by login.html and should be keep');
+// async chunks of every page are load by url
+assert.strictEqual(fs.readdirSync(dist).filter(filename => /^\d+\.js$/.test(filename)).length, 2, 'async chunks of home and login should be keep');
+// entry not required by any page is not touched
+assert(exists('polyfill.js'), 'polyfill.js is not inlined and should be keep');
+console.log('remove-inlined check passed');
\ No newline at end of file
@@ -0,0 +1,2 @@
+require('../shared');
+import('./lazy').then(lazy => lazy.show());
\ No newline at end of file
@@ -0,0 +1,3 @@
+export function show() {
+    alert('hello web-webpack-plugin from login lazy');
+}
\ No newline at end of file
@@ -0,0 +1 @@
+window.shared = 'hello web-webpack-plugin from shared';
\ No newline at end of file
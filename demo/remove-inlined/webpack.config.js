@@ -0,0 +1,22 @@
+const path = require('path');
+const { AutoWebPlugin } = require('../../index');
+
+module.exports = {
+    output: {
+        path: path.resolve(__dirname, 'dist'),
+        filename: '[name].js',
+    },
+    entry: {
+        polyfill: './src/polyfill',
+    },
+    plugins: [
+        new AutoWebPlugin('./src/', {
+            commonsChunk: {
+                name: 'common',
+                minChunks: 2,
+            },
+            // home.js and login.js are removed from output,common.js is keep as login page load it by url
+            removeInlined: true,
+        }),
+    ]
+};
\ No newline at end of file
@@ -0,0 +1,3 @@
+document.addEventListener('click', () => {
+    import('./lazy').then(lazy => lazy.show());
+});
\ No newline at end of file
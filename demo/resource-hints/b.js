@@ -0,0 +1 @@
+alert('hello web-webpack-plugin from b');
\ No newline at end of file
@@ -0,0 +1,15 @@
+webpackJsonp([0],{
+
+/***/ 2:
+/***/ (function(module, __webpack_exports__, __webpack_require__) {
+
+"use strict";
+Object.defineProperty(__webpack_exports__, "__esModule", { value: true });
+/* harmony export (immutable) */ __webpack_exports__["show"] = show;
+function show() {
+    alert('hello web-webpack-plugin from lazy');
+}
+
+/***/ })
+
+});
\ No newline at end of file
@@ -0,0 +1,30 @@
+const path = require('path');
+const { WebPlugin } = require('../../index');
+
+module.exports = {
+    output: {
+        path: path.resolve(__dirname, 'dist'),
+        filename: '[name].js',
+    },
+    entry: {
+        A: './a',
+        B: './b',
+    },
+    plugins: [
+        // enable resource hints for single resource by _preload _prefetch query in template
+        new WebPlugin({
+            filename: 'index.html',
+            template: './template.html',
+        }),
+        // enable resource hints for all resources
+        new WebPlugin({
+            filename: 'all.html',
+            template: './all.html',
+            resourceHints: {
+                preload: true,
+                prefetch: true,
+                preconnect: true,
+            },
+        }),
+    ]
+};
\ No newline at end of file
@@ -0,0 +1 @@
+console.log('analytics');
\ No newline at end of file
@@ -0,0 +1 @@
+document.getElementById('app').textContent = 'hello web-webpack-plugin from app';
\ No newline at end of file
@@ -0,0 +1 @@
+console.log('browser not support module script');
\ No newline at end of file
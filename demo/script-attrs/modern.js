@@ -0,0 +1 @@
+console.log('browser support module script');
\ No newline at end of file
@@ -0,0 +1,40 @@
+const path = require('path');
+const { WebPlugin } = require('../../index');
+
+module.exports = {
+    output: {
+        path: path.resolve(__dirname, 'dist'),
+        filename: '[name].js',
+    },
+    entry: {
+        analytics: './analytics',
+        app: './app',
+        modern: './modern',
+        legacy: './legacy',
+    },
+    plugins: [
+        // config script attributes by query in template
+        new WebPlugin({
+            filename: 'index.html',
+            template: './template.html',
+        }),
+        // config script attributes in webpack.config.js
+        new WebPlugin({
+            filename: 'requires.html',
+            requires: {
+                analytics: {
+                    _async: true,
+                },
+                app: {
+                    _defer: true,
+                },
+                modern: {
+                    _module: true,
+                },
+                legacy: {
+                    _nomodule: true,
+                },
+            },
+        }),
+    ]
+};
\ No newline at end of file
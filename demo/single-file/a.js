@@ -0,0 +1,5 @@
+require('./a.css');
+// webpack 2 3 install inlined async chunks after page start,so import it on click
+document.addEventListener('click', () => {
+    import('./lazy').then(lazy => lazy.show());
+});
\ No newline at end of file
@@ -0,0 +1,36 @@
+const path = require('path');
+const ExtractTextPlugin = require('extract-text-webpack-plugin');
+const { WebPlugin } = require('../../index');
+
+module.exports = {
+    output: {
+        path: path.resolve(__dirname, 'dist'),
+        filename: '[name].js',
+    },
+    entry: {
+        A: './a',
+    },
+    module: {
+        loaders: [
+            {
+                test: /\.css$/,
+                loaders: ExtractTextPlugin.extract({
+                    fallback: 'style-loader',
+                    use: ['css-loader'],
+                }),
+            },
+        ]
+    },
+    plugins: [
+        new ExtractTextPlugin({
+            filename: '[name].css',
+        }),
+        // output index.html only,scripts styles async chunks and favicon are all inlined
+        new WebPlugin({
+            filename: 'index.html',
+            template: './template.html',
+            favicon: './favicon.png',
+            singleFile: true,
+        }),
+    ]
+};
\ No newline at end of file
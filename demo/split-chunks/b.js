@@ -0,0 +1,3 @@
+const log = require('./shared');
+
+log('hello web-webpack-plugin from b');
\ No newline at end of file
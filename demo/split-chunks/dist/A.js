@@ -0,0 +1,11 @@
+webpackJsonp([2],[
+/* 0 */,
+/* 1 */
+/***/ (function(module, exports, __webpack_require__) {
+
+const log = __webpack_require__(0);
+
+log('hello web-webpack-plugin from a');
+
+/***/ })
+],[1]);
\ No newline at end of file
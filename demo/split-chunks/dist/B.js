@@ -0,0 +1,12 @@
+webpackJsonp([1],{
+
+/***/ 2:
+/***/ (function(module, exports, __webpack_require__) {
+
+const log = __webpack_require__(0);
+
+log('hello web-webpack-plugin from b');
+
+/***/ })
+
+},[2]);
\ No newline at end of file
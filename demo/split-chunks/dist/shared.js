@@ -0,0 +1,10 @@
+webpackJsonp([0],[
+/* 0 */
+/***/ (function(module, exports) {
+
+module.exports = function log(msg) {
+    console.log(msg);
+};
+
+/***/ })
+]);
\ No newline at end of file
@@ -0,0 +1,3 @@
+module.exports = function log(msg) {
+    console.log(msg);
+};
\ No newline at end of file
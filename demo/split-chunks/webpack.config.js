@@ -0,0 +1,32 @@
+const path = require('path');
+const webpack = require('webpack');
+const { WebPlugin } = require('../../index');
+
+module.exports = {
+    output: {
+        path: path.resolve(__dirname, 'dist'),
+        filename: '[name].js',
+    },
+    entry: {
+        A: './a',
+        B: './b',
+    },
+    plugins: [
+        // split modules used by A and B into shared.js,and webpack runtime into runtime.js
+        // same as optimization.splitChunks and optimization.runtimeChunk in webpack >= 4
+        new webpack.optimize.CommonsChunkPlugin({
+            names: ['shared', 'runtime'],
+        }),
+        // index.html inject all files of A and B in load order,shared.js and runtime.js are only injected once
+        new WebPlugin({
+            filename: 'index.html',
+            template: './template.html',
+            requires: ['A', 'B'],
+        }),
+        // a.html only require A,files of A are still injected
+        new WebPlugin({
+            filename: 'a.html',
+            requires: ['A'],
+        }),
+    ]
+};
\ No newline at end of file
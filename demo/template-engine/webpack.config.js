@@ -0,0 +1,33 @@
+const path = require('path');
+const { WebPlugin } = require('../../index');
+
+module.exports = {
+    output: {
+        path: path.resolve(__dirname, 'dist'),
+        filename: '[name].js',
+    },
+    entry: {
+        A: './a',
+    },
+    plugins: [
+        // render template with built-in lodash template style engine before resolve resources in it
+        new WebPlugin({
+            filename: 'index.html',
+            template: './template.html',
+            templateEngine: true,
+            templateData: {
+                title: 'Home',
+                links: ['home', 'about'],
+            },
+        }),
+        // use any other engine by a function,eg: (source, data) => ejs.render(source, data)
+        new WebPlugin({
+            filename: 'custom.html',
+            template: './custom.html',
+            templateEngine: (source, data) => source.replace(/{{\s*(\w+)\s*}}/g, (match, key) => data.templateData[key]),
+            templateData: {
+                title: 'Custom',
+            },
+        }),
+    ]
+};
\ No newline at end of file
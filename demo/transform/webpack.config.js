@@ -0,0 +1,25 @@
+const path = require('path');
+const { WebPlugin } = require('../../index');
+
+module.exports = {
+    output: {
+        path: path.resolve(__dirname, 'dist'),
+        filename: '[name].js',
+    },
+    entry: {
+        A: './a',
+    },
+    plugins: [
+        new WebPlugin({
+            filename: 'index.html',
+            template: './template.html',
+            // mutate html document after scripts and styles are injected
+            transform: (doc, context) => {
+                doc.body.prepend(`<div id="root" data-page="${context.pageName}"></div>`);
+                doc.querySelector('head > meta[name="viewport"]').setAttribute('content', 'width=device-width, initial-scale=1');
+                doc.querySelectorAll('script[src^="https://debug.cn"], footer').forEach(element => element.remove());
+                doc.head.insertHTML('beforeend', `<script>window.CHUNKS=${JSON.stringify(context.chunks)}</script>`);
+            },
+        }),
+    ]
+};
\ No newline at end of file
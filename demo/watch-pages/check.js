@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+
+// build in watch mode,add then remove page about and check its html is output then removed,use WEBPACK env to test with other webpack install
+const webpack = require(process.env.WEBPACK || 'webpack');
+process.chdir(__dirname);
+const aboutDir = path.resolve(__dirname, 'src/about');
+const dist = path.resolve(__dirname, 'dist');
+const removeAbout = () => fs.rmSync(aboutDir, { recursive: true, force: true });
+
+// file changed in the same second of last build may not be found by watcher
+const later = fn => setTimeout(fn, 1500);
+const timer = setTimeout(() => {
+    removeAbout();
+    console.error('watch-pages check timeout');
+    process.exit(1);
+}, 30000);
+const hasAbout = () => {
+    const pagemap = JSON.parse(fs.readFileSync(path.resolve(dist, 'pagemap.json'), 'utf8'));
+    const hasHtml = fs.existsSync(path.resolve(dist, 'about.html'));
+    assert.strictEqual(pagemap.about !== undefined, hasHtml, 'pagemap.json should match output html');
+    return hasHtml;
+};
+// watcher may rebuild for files modified just before watch start,so wait for the build with expected pages
+const steps = [
+    // add page about
+    () => !hasAbout() && later(() => {
+        fs.mkdirSync(aboutDir);
+        fs.writeFileSync(path.resolve(aboutDir, 'index.js'), `document.getElementById('app').textContent = 'about page';`);
+    }),
+    // page about is output,remove it
+    () => hasAbout() && later(removeAbout),
+    // page about is removed from output path
+    () => !hasAbout() && !fs.existsSync(path.resolve(dist, 'about.js')),
+];
+const watching = webpack(require('./webpack.config')).watch({ aggregateTimeout: 100 }, (err, stats) => {
+    assert.ifError(err);
+    assert.deepStrictEqual(stats.compilation.errors, []);
+    ['home', 'login'].forEach(pageName => assert(fs.existsSync(path.resolve(dist, `${pageName}.html`)), `${pageName}.html should be output`));
+    if (steps[0]()) {
+        steps.shift();
+    }
+    if (steps.length === 0) {
+        clearTimeout(timer);
+        watching.close(() => console.log('watch-pages check passed'));
+    }
+});
+process.on('uncaughtException', err => {
+    removeAbout();
+    throw err;
+});
\ No newline at end of file
@@ -0,0 +1 @@
+console.log('polyfill');
\ No newline at end of file
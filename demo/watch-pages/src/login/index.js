@@ -0,0 +1 @@
+document.getElementById('app').textContent = 'login page';
\ No newline at end of file
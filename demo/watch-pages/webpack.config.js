@@ -0,0 +1,20 @@
+const path = require('path');
+const { AutoWebPlugin } = require('../../index');
+
+module.exports = {
+    output: {
+        path: path.resolve(__dirname, 'dist'),
+        filename: '[name].js',
+    },
+    entry: {
+        polyfill: './polyfill',
+    },
+    plugins: [
+        // in webpack --watch pages are found again before every rebuild,add or remove a dir in ./src/ without restarting
+        new AutoWebPlugin('./src/', {
+            template: './src/template.html',
+            outputPagemap: true,
+            liveReload: false,
+        }),
+    ]
+};
\ No newline at end of file
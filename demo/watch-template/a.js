@@ -0,0 +1 @@
+alert(`hello web-webpack-plugin from a,version ${window.config.version}`);
\ No newline at end of file
@@ -0,0 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+
+// build in watch mode,change config.js load by template then check index.html is rebuilt,use WEBPACK env to test with other webpack install
+const webpack = require(process.env.WEBPACK || 'webpack');
+process.chdir(__dirname);
+const configPath = path.resolve(__dirname, 'config.js');
+const htmlPath = path.resolve(__dirname, 'dist/index.html');
+const origin = fs.readFileSync(configPath, 'utf8');
+const restore = () => fs.writeFileSync(configPath, origin);
+
+// file changed in the same second of last build may not be found by watcher
+const change = version => setTimeout(() => fs.writeFileSync(configPath, origin.replace('version: 1', `version: ${version}`)), 1500);
+const timer = setTimeout(() => {
+    restore();
+    console.error('watch-template check timeout');
+    process.exit(1);
+}, 30000);
+// index.html inline config.js,it should be rebuilt with every version of config.js
+const versions = [2, 1];
+let expected = 1;
+const watching = webpack(require('./webpack.config')).watch({ aggregateTimeout: 100 }, (err, stats) => {
+    assert.ifError(err);
+    assert.deepStrictEqual(stats.compilation.errors, []);
+    // watcher may rebuild for files modified just before watch start,wait for the build with expected content
+    const [, version] = fs.readFileSync(htmlPath, 'utf8').match(/version:\s*(\d+)/);
+    if (Number(version) !== expected) {
+        return;
+    }
+    if (versions.length > 0) {
+        expected = versions.shift();
+        change(expected);
+    } else {
+        clearTimeout(timer);
+        watching.close(() => console.log('watch-template check passed'));
+    }
+});
+process.on('uncaughtException', err => {
+    restore();
+    throw err;
+});
\ No newline at end of file
@@ -0,0 +1,3 @@
+window.config = {
+    version: 1,
+};
\ No newline at end of file
@@ -0,0 +1,21 @@
+const path = require('path');
+const { WebPlugin } = require('../../index');
+
+module.exports = {
+    output: {
+        path: path.resolve(__dirname, 'dist'),
+        filename: '[name].js',
+    },
+    entry: {
+        A: './a',
+    },
+    plugins: [
+        // in webpack --watch template.html and config.js load by it are watched,html is rebuilt when they changed
+        new WebPlugin({
+            filename: 'index.html',
+            template: './template.html',
+            // don't inject live reload client,this demo is not served by webpack-dev-server
+            liveReload: false,
+        }),
+    ]
+};
\ No newline at end of file
@@ -1,9 +1,26 @@
 const fs = require('fs');
 const url = require('url');
 const path = require('path');
-const CommonsChunkPlugin = require('webpack/lib/optimize/CommonsChunkPlugin');
 const WebPlugin = require('./WebPlugin');
 const util = require('./util');
+const glob = require('./glob');
+
+/**
+ * whether a page should be ignored by AutoWebPlugin
+ * @param pageName page name,eg: admin/users
+ * @param ignorePages {Array<string|RegExp>} page name,glob pattern or RegExp list
+ * @returns {boolean}
+ */
+function isIgnorePage(pageName, ignorePages = []) {
+    return ignorePages.some(ignore => {
+        if (ignore instanceof RegExp) {
+            return ignore.test(pageName);
+        } else if (glob.isGlob(ignore)) {
+            return glob.globToRegExp(ignore).test(pageName);
+        }
+        return ignore === pageName;
+    });
+}
 
 /**
  * list only dir in dir
@@ -16,7 +33,7 @@ function getDirsInDir(dir, ignorePages = []) {
     const ret = [];
     files.forEach(fileName => {
         if (
-            ignorePages.findIndex(em => em === fileName) < 0 // not in ignorePages
+            !isIgnorePage(fileName, ignorePages) // not in ignorePages
             && fs.lstatSync(path.resolve(dir, fileName)).isDirectory() // is Directory
         ) {
             ret.push(fileName);
@@ -25,11 +42,129 @@ function getDirsInDir(dir, ignorePages = []) {
     return ret;
 }
 
+/**
+ * find out pages by glob pattern,page name is relative path from glob base dir
+ * eg: pattern src/pages/**\/index.js match src/pages/admin/users/index.js => page admin/users
+ * match file not named index will use file path without ext as page name,eg: src/pages/about.js => page about
+ * @param pattern glob pattern match page entry files or dirs
+ * @param ignorePages page name list will not ignore by AutoWebPlugin(Not output html file for this page name)
+ * @returns {{pageName:string}} page name map to page entry path
+ */
+function getPagesByGlob(pattern, ignorePages = []) {
+    const baseDir = path.resolve(glob.getGlobBase(pattern));
+    const ret = {};
+    glob.globSync(pattern).forEach(filePath => {
+        let pagePath = filePath;
+        if (!fs.lstatSync(filePath).isDirectory()) {
+            const basename = path.basename(filePath, path.extname(filePath));
+            pagePath = basename === 'index' ? path.dirname(filePath) : path.resolve(path.dirname(filePath), basename);
+        }
+        const pageName = glob.toPosixPath(path.relative(baseDir, pagePath)) || 'index';
+        if (!isIgnorePage(pageName, ignorePages) && ret[pageName] === undefined) {
+            ret[pageName] = filePath;
+        }
+    });
+    return ret;
+}
+
+/**
+ * page config file names in every page dir,first exist file will be used
+ * @type {Array<string>}
+ */
+const PageConfigFilenames = ['page.config.js', 'page.json'];
+
+/**
+ * read page config file in page dir,page.config.js can export an object or function(pageName)=>object
+ * @param pageConfigDir page dir hold page config file
+ * @param pageName
+ * @returns {{title:string,template:string,requires:Array,filename:string,ignore:boolean,templateData:Object}} empty object if no page config file
+ */
+function readPageConfig(pageConfigDir, pageName) {
+    for (let i = 0; i < PageConfigFilenames.length; i++) {
+        const filePath = path.resolve(pageConfigDir, PageConfigFilenames[i]);
+        if (!fs.existsSync(filePath)) {
+            continue;
+        }
+        let pageConfig;
+        if (filePath.endsWith('.js')) {
+            // read page config again in watch mode
+            delete require.cache[filePath];
+            pageConfig = require(filePath);
+            if (typeof pageConfig === 'function') {
+                pageConfig = pageConfig(pageName);
+            }
+        } else {
+            pageConfig = JSON.parse(fs.readFileSync(filePath, {
+                encoding: 'utf8'
+            }));
+        }
+        return Object.assign({}, pageConfig);
+    }
+    return {};
+}
+
+/**
+ * extract common chunk for pages,use CommonsChunkPlugin for webpack 2 3
+ * use optimization.splitChunks for webpack >= 4 as CommonsChunkPlugin has been removed
+ * @param compiler webpack compiler
+ * @param commonsChunk AutoWebPlugin options.commonsChunk
+ * @param pageNames page name list to extract common chunk from,it will be updated when pages changed in watch mode
+ * @returns {string|undefined} runtime name for every page entry,only for webpack 5
+ */
+function applyCommonsChunk(compiler, commonsChunk, pageNames) {
+    if (!util.isHooksCompiler(compiler)) {
+        const CommonsChunkPlugin = require('webpack/lib/optimize/CommonsChunkPlugin');
+        const commonsChunkPluginOption = {
+            // get all pages's commons chunk
+            chunks: pageNames
+        };
+        Object.assign(commonsChunkPluginOption, commonsChunk);
+        //noinspection JSUnresolvedFunction
+        new CommonsChunkPlugin(commonsChunkPluginOption).apply(compiler);
+        return;
+    }
+    const { name, minChunks } = commonsChunk;
+    //noinspection JSUnresolvedVariable
+    const optimization = compiler.options.optimization = compiler.options.optimization || {};
+    let { splitChunks } = optimization;
+    if (typeof splitChunks !== 'object' || splitChunks === null) {
+        splitChunks = optimization.splitChunks = {};
+    }
+    // CommonsChunkPlugin put webpack runtime in common chunk,so common chunk always exist
+    // only pages share the runtime in common chunk,other entry keep their own runtime
+    let pageRuntime;
+    if (!optimization.runtimeChunk) {
+        if (compiler.webpack) {
+            // webpack 5 support runtime option for every entry
+            pageRuntime = name;
+        } else {
+            // webpack 4 keep runtime in entry chunk when runtime chunk name is entry name
+            optimization.runtimeChunk = {
+                name: entrypoint => pageNames.indexOf(entrypoint.name) >= 0 ? name : entrypoint.name
+            };
+        }
+    }
+    splitChunks.cacheGroups = Object.assign({}, splitChunks.cacheGroups, {
+        [name]: {
+            name,
+            // only extract from pages find by AutoWebPlugin like CommonsChunkPlugin's chunks option
+            chunks: chunk => pageNames.indexOf(chunk.name) >= 0,
+            // same as CommonsChunkPlugin, default module in all pages will be extract
+            minChunks: typeof minChunks === 'number' && isFinite(minChunks) ? minChunks : pageNames.length,
+            // CommonsChunkPlugin has no size limit
+            enforce: true,
+        },
+    });
+    return pageRuntime;
+}
+
 class AutoWebPlugin {
 
     /**
      *
-     * @param pageDir the dir hold all pages
+     * @param pageDir the dir hold all pages,or a glob pattern match all pages entry files or dirs
+     *      typeof===dir: every first level dir in it is a page
+     *      typeof===glob: eg: src/pages/**\/index.js,page name is relative path from glob base dir like admin/users,html will output to admin/users.html
      * @param options
      * options.template {string,function}
      *      get WebPlugin template
@@ -49,6 +184,7 @@ class AutoWebPlugin {
      *      CommonsChunkPlugin options for all pages entry find by AutoWebPlugin.
      *      if this is null will not do commonsChunk action
      *      use CommonsChunkPlugin to handle with all pages's commons chunk. this will set CommonsChunkPlugin's chunks prop with all pages find by AutoWebPlugin.
+     *      for webpack >= 4 CommonsChunkPlugin has been removed, name and minChunks will map to a optimization.splitChunks cacheGroup.
      *
      * options.preEntrys {Array}
      *      entry files pre append to page entry for every page
@@ -59,8 +195,88 @@ class AutoWebPlugin {
      * options.stylePublicPath {string}
      *      publicPath for css file,for js file will use webpack.publicPath
      *
-     * options.ignorePages {Array<string>}
+     * options.integrity {string}
+     *      Subresource Integrity hash algorithm for all pages, one of sha256 sha384 sha512, see WebPlugin options.integrity
+     *
+     * options.crossorigin {string}
+     *      crossorigin attr for script and style with integrity,default is anonymous
+     *
+     * options.templateEngine {function|boolean}
+     *      template engine for all pages, see WebPlugin options.templateEngine
+     *
+     * options.templateData {Object,function}
+     *      data pass to template engine, see WebPlugin options.templateData
+     *      typeof===function: templateData config is function(pageName)=>data,ask user for detail
+     *
+     * options.minify {boolean|Object}
+     *      minify html output for all pages, see WebPlugin options.minify
+     *
+     * options.pretty {boolean|Object}
+     *      pretty html output for all pages, see WebPlugin options.pretty
+     *
+     * options.transform {function}
+     *      mutate html document for all pages, see WebPlugin options.transform,use context.pageName to known which page is building
+     *
+     * options.singleFile {boolean}
+     *      output self-contained html for all pages, see WebPlugin options.singleFile
+     *
+     * options.inlineThreshold {number}
+     *      inline js and css chunk file smaller than it in bytes automatically for all pages, see WebPlugin options.inlineThreshold
+     *
+     * options.inlineTest {RegExp|function}
+     *      inline js and css chunk file whose name match it automatically for all pages, see WebPlugin options.inlineTest
+     *
+     * options.removeInlined {boolean}
+     *      remove chunk files inlined in pages from webpack output, file still load by url in any page will be keep, see WebPlugin options.removeInlined
+     *
+     * options.liveReload {boolean}
+     *      reload page in browser when html template changed in webpack-dev-server,default is true in watch mode and not production env,set false to disable it
+     *
+     * options.mode {string}
+     *      force env for all pages,one of production development,default is detect from webpack compiler
+     *
+     * options.extractStyle {boolean}
+     *      force whether inject required styles as css file for all pages,default is inject if required chunk has css file
+     *
+     * options.resourceHints {Object}
+     *      generate preload prefetch preconnect link tags for all pages, see WebPlugin options.resourceHints
+     *
+     * options.moduleType {string}
+     *      module or nomodule for all pages,for differential serving build by multi compilers, see WebPlugin options.moduleType
+     *
+     * options.csp {Object}
+     *      generate Content Security Policy for inline scripts and styles of all pages, see WebPlugin options.csp
+     *
+     * options.manifest {boolean|string|Object}
+     *      output a manifest file contains all pages's scripts and styles, see WebPlugin options.manifest
+     *
+     * options.title {string,function}
+     *      html title for all pages, see WebPlugin options.title
+     *      typeof===function: title config is function(pageName)=>title,title in page config will override it
+     *
+     * options.meta {Array,Object,function}
+     *      meta tags for all pages, see WebPlugin options.meta
+     *      typeof===function: meta config is function(pageName)=>meta
+     *
+     * options.favicon {string,function}
+     *      favicon file path for all pages, see WebPlugin options.favicon
+     *      typeof===function: favicon config is function(pageName)=>favicon
+     *
+     * options.base {string,Object,function}
+     *      base tag for all pages, see WebPlugin options.base
+     *      typeof===function: base config is function(pageName)=>base
+     *
+     * options.ignorePages {Array<string|RegExp>}
      *      page name list will not ignore by AutoWebPlugin(Not output html file for this page name)
+     *      support glob pattern and RegExp,eg: admin/** /^test/
+     *
+     * page.config.js or page.json in every page dir can override options for this page:
+     *      title {string}: html title
+     *      template {string}: html template relative to page dir
+     *      requires {Array}: extra chunks required before page entry
+     *      filename {string}: output html filename without .html
+     *      ignore {boolean}: not output html for this page
+     *      templateData {Object}: merged over options.templateData
      *
      * options.outputPagemap {boolean}
      *      whether output a pagemap.json file which contain all pages has been resolved with AutoWebPlugin in this way:
@@ -72,15 +288,65 @@ class AutoWebPlugin {
     constructor(pageDir, options) {
         options = Object.assign({}, options);
         this.options = options;
+        this.pageDir = pageDir;
+        this.entryMap = this.findPages();
+        /**
+         * WebPlugin for every page has been found,page removed in watch mode will be disabled
+         * pageKey is used to find out whether page config changed
+         * @type {{pageName:{webPlugin:WebPlugin,pageKey:string}}}
+         */
+        this.webPlugins = {};
+        /**
+         * error when find out pages in watch mode,eg: page.json syntax error
+         * @type {Error|undefined}
+         */
+        this.pagesError = undefined;
+        /**
+         * html and js files of pages removed in watch mode,will be removed from output path on next emit
+         * @type {Array}
+         */
+        this.removedFiles = [];
+        /**
+         * js files output for every page in last emit,used to remove them when page is removed
+         * @type {{pageName:Array}}
+         */
+        this.pageOutputFiles = {};
+    }
+
+    /**
+     * find out all pages in pageDir,and get every page's html template path and js entryPath
+     * page.config.js or page.json in page dir will override global options for this page
+     * @returns {{pageName:{template:string,entryPath:string,filename:string,title:string,requires:Array,templateData:Object}}}
+     */
+    findPages() {
+        const { pageDir, options } = this;
         const { template, entry, filename, ignorePages } = options;
-        const pageNames = getDirsInDir(pageDir, ignorePages);
+        // dir hold all page dirs
+        const baseDir = path.resolve(glob.isGlob(pageDir) ? glob.getGlobBase(pageDir) : pageDir);
+        let pageEntryPaths = {};
+        if (glob.isGlob(pageDir)) {
+            pageEntryPaths = getPagesByGlob(pageDir, ignorePages);
+        } else {
+            getDirsInDir(pageDir, ignorePages).forEach(pageName => {
+                pageEntryPaths[pageName] = path.resolve(pageDir, pageName, '');
+            });
+        }
+        const pageNames = Object.keys(pageEntryPaths);
         const entryMap = {};
         // find out all page entry in pageDir,and get every page's html template path and js entryPath
         pageNames.forEach(pageName => {
+            const pageConfigDir = path.resolve(baseDir, pageName);
+            const pageConfig = readPageConfig(pageConfigDir, pageName);
+            if (pageConfig.ignore === true) {
+                return;
+            }
             entryMap[pageName] = {}
 
             // get WebPlugin template
-            if (typeof template === 'string') {
+            if (typeof pageConfig.template === 'string') {
+                // template in page config is relative to page dir
+                entryMap[pageName].template = path.resolve(pageConfigDir, pageConfig.template);
+            } else if (typeof template === 'string') {
                 // template config is html template file full path
                 entryMap[pageName].template = template;
             } else if (typeof template === 'function') {
@@ -96,65 +362,215 @@ class AutoWebPlugin {
                 // entry config is function,ask user for detail
                 entryMap[pageName].entryPath = entry(pageName)
             } else {
-                // use page dir's index.js or index.jsx as page entry
-                entryMap[pageName].entryPath = path.resolve(pageDir, pageName, '')
+                // use page dir's index.js or index.jsx as page entry,or entry file match glob pattern
+                entryMap[pageName].entryPath = pageEntryPaths[pageName]
             }
 
             // get WebPlugin output filename,default filename is pageName
             // set options.filename as function(pageName)=>filename to add custom logic
-            if (typeof filename === 'function') {
+            if (typeof pageConfig.filename === 'string') {
+                entryMap[pageName].filename = pageConfig.filename;
+            } else if (typeof filename === 'function') {
                 entryMap[pageName].filename = filename(pageName);
             } else {
                 entryMap[pageName].filename = pageName;
             }
+
+            // other options only in page config
+            entryMap[pageName].title = pageConfig.title;
+            entryMap[pageName].requires = Array.isArray(pageConfig.requires) ? pageConfig.requires : [];
+            entryMap[pageName].templateData = pageConfig.templateData;
+        });
+        return entryMap;
+    }
+
+    /**
+     * add an WebPlugin for a page to output an html,reuse it if page has been added before
+     * only one WebPlugin is applied for a page,so its hooks will not be tapped again in watch mode
+     * @param compiler webpack compiler
+     * @param pageName
+     * @returns {WebPlugin}
+     */
+    applyPage(compiler, pageName) {
+        const page = this.entryMap[pageName];
+        const pageKey = JSON.stringify(page);
+        const added = this.webPlugins[pageName];
+        if (added !== undefined) {
+            added.webPlugin.enabled = true;
+            if (added.pageKey === pageKey) {
+                return added.webPlugin;
+            }
+        }
+        const { commonsChunk, stylePublicPath, integrity, crossorigin, templateEngine, templateData, title, meta, favicon, base, minify, pretty, transform, singleFile, inlineThreshold, inlineTest, removeInlined, liveReload, mode, extractStyle, resourceHints, moduleType, csp, manifest } = this.options;
+        // get option value for this page,function option is function(pageName)=>value
+        const pageOption = option => typeof option === 'function' ? option(pageName) : option;
+        //noinspection EqualityComparisonWithCoercionJS
+        const useCommonsChunk = commonsChunk != null || typeof commonsChunk === 'object';
+        let pageTemplateData = pageOption(templateData);
+        if (typeof page.templateData === 'object' && page.templateData !== null) {
+            // template data in page config is merged over global template data
+            pageTemplateData = Object.assign({}, pageTemplateData, page.templateData);
+        }
+        // requires in page config is required before page entry
+        const requires = page.requires.concat(pageName);
+        const webPluginOptions = {
+            template: page.template,
+            filename: `${page.filename}.html`,
+            requires: useCommonsChunk ? [commonsChunk.name].concat(requires) : requires,
+            stylePublicPath,
+            integrity,
+            crossorigin,
+            templateEngine,
+            templateData: pageTemplateData,
+            pageName,
+            title: page.title !== undefined ? page.title : pageOption(title),
+            meta: pageOption(meta),
+            favicon: pageOption(favicon),
+            base: pageOption(base),
+            minify,
+            pretty,
+            transform,
+            singleFile,
+            inlineThreshold,
+            inlineTest,
+            removeInlined,
+            liveReload,
+            mode,
+            extractStyle,
+            resourceHints,
+            moduleType,
+            csp,
+            manifest,
+        };
+        if (added !== undefined) {
+            // page config changed,update options of the WebPlugin has been applied
+            added.webPlugin.setOptions(webPluginOptions);
+            added.pageKey = pageKey;
+            return added.webPlugin;
+        }
+        const webPlugin = new WebPlugin(webPluginOptions);
+        webPlugin.apply(compiler);
+        this.webPlugins[pageName] = { webPlugin, pageKey };
+        return webPlugin;
+    }
+
+    /**
+     * find out pages again in watch mode,output html for new pages and stop output html for removed pages
+     * @param compiler webpack compiler
+     * @param pageNames page name list share with commons chunk,will be updated
+     */
+    updatePages(compiler, pageNames) {
+        let entryMap;
+        try {
+            entryMap = this.findPages();
+            this.pagesError = undefined;
+        } catch (err) {
+            // keep pages found last time,error will be output on emit
+            this.pagesError = err;
+            return;
+        }
+        Object.keys(this.entryMap).forEach(pageName => {
+            if (entryMap[pageName] === undefined) {
+                this.webPlugins[pageName].webPlugin.enabled = false;
+                // files still output by other pages will be keep on emit
+                this.removedFiles.push(...(this.pageOutputFiles[pageName] || []));
+                delete this.pageOutputFiles[pageName];
+            }
+            if (entryMap[pageName] === undefined || entryMap[pageName].filename !== this.entryMap[pageName].filename) {
+                this.removedFiles.push(`${this.entryMap[pageName].filename}.html`);
+            }
         });
         this.entryMap = entryMap;
+        Object.keys(entryMap).forEach(pageName => {
+            const webPlugin = this.applyPage(compiler, pageName);
+            // watch run hook of this compilation has been called before WebPlugin apply
+            webPlugin.watchMode = true;
+            const index = this.removedFiles.indexOf(`${entryMap[pageName].filename}.html`);
+            if (index >= 0) {
+                this.removedFiles.splice(index, 1);
+            }
+        });
+        pageNames.splice(0, pageNames.length, ...Object.keys(entryMap));
     }
 
     // call by webpack
     apply(compiler) {
-        global._isProduction = util.isProduction(compiler);
-        global._isExtractStyle = util.isExtractStyle(compiler);
         const { options } = compiler;
-        const { entryMap } = this;
-        const { commonsChunk, preEntrys, postEntrys, stylePublicPath, outputPagemap } = this.options;
+        const { commonsChunk, preEntrys, postEntrys, outputPagemap } = this.options;
 
         //noinspection EqualityComparisonWithCoercionJS
         const useCommonsChunk = commonsChunk != null || typeof commonsChunk === 'object';
 
-        Object.keys(entryMap).forEach(entryName => {
-            const { template, entryPath } = entryMap[entryName];
-            let pageEntryArray = [entryPath];
-            if (Array.isArray(preEntrys)) {
-                pageEntryArray = preEntrys.concat(pageEntryArray);
-            }
-            if (Array.isArray(postEntrys)) {
-                pageEntryArray = pageEntryArray.concat(postEntrys);
-            }
-            // add entryMap from pages to webpack entry
-            //noinspection JSUnresolvedVariable
-            options.entry[entryName] = pageEntryArray;
-            // add an WebPlugin for every page to output an html
-            new WebPlugin({
-                template: template,
-                filename: `${entryName}.html`,
-                requires: useCommonsChunk ? [commonsChunk.name, entryName] : [entryName],
-                stylePublicPath
-            }).apply(compiler);
-        });
+        // add an WebPlugin for every page to output an html
+        Object.keys(this.entryMap).forEach(pageName => this.applyPage(compiler, pageName));
 
+        // page name list will be updated when pages changed in watch mode
+        const pageNames = Object.keys(this.entryMap);
+        let pageRuntime;
         if (useCommonsChunk) {
-            const commonsChunkPluginOption = {
-                // get all pages's commons chunk
-                chunks: Object.keys(entryMap)
-            };
-            Object.assign(commonsChunkPluginOption, commonsChunk);
-            //noinspection JSUnresolvedFunction
-            new CommonsChunkPlugin(commonsChunkPluginOption).apply(compiler);
+            pageRuntime = applyCommonsChunk(compiler, commonsChunk, pageNames);
         }
 
-        //noinspection JSUnresolvedFunction
-        compiler.plugin('emit', (compilation, callback) => {
+        // add entryMap from pages to webpack entry
+        // use function entry like DynamicEntryPlugin,so webpack will get pages again on every compilation in watch mode
+        const originEntry = options.entry;
+        options.entry = () => Promise.resolve(typeof originEntry === 'function' ? originEntry() : originEntry).then(entry => {
+            // webpack use main as entry name for string and array entry
+            const ret = typeof entry === 'string' || Array.isArray(entry) ? { main: entry } : Object.assign({}, entry);
+            Object.keys(ret).forEach(entryName => {
+                const desc = ret[entryName];
+                // webpack 5 normalize config without entry to { main: {} },it's import is set to ./src later but function entry skip it
+                if (typeof desc === 'object' && desc !== null && !Array.isArray(desc) && desc.import === undefined) {
+                    delete ret[entryName];
+                }
+            });
+            Object.keys(this.entryMap).forEach(entryName => {
+                const { entryPath } = this.entryMap[entryName];
+                let pageEntryArray = [entryPath];
+                if (Array.isArray(preEntrys)) {
+                    pageEntryArray = preEntrys.concat(pageEntryArray);
+                }
+                if (Array.isArray(postEntrys)) {
+                    pageEntryArray = pageEntryArray.concat(postEntrys);
+                }
+                //noinspection JSUnresolvedVariable
+                if (compiler.webpack) {
+                    // webpack 5 normalize entry to { entryName: { import: [] } } before apply plugins
+                    ret[entryName] = { import: pageEntryArray, runtime: pageRuntime };
+                } else {
+                    ret[entryName] = pageEntryArray;
+                }
+            });
+            return ret;
+        });
+
+        // find out pages again before every compilation in watch mode
+        util.onWatchRun(compiler, 'AutoWebPlugin', () => {
+            this.updatePages(compiler, pageNames);
+        });
+
+        util.onEmit(compiler, 'AutoWebPlugin', (compilation, callback) => {
+            // rebuild when page added or removed in pageDir
+            util.addContextDependency(compilation, path.resolve(glob.isGlob(this.pageDir) ? glob.getGlobBase(this.pageDir) : this.pageDir));
+            if (this.pagesError !== undefined) {
+                compilation.errors.push(this.pagesError);
+            }
+            // remove html and js files output before for removed pages,unless they are output again in this compilation
+            //noinspection JSUnresolvedVariable
+            const { outputFileSystem, outputPath } = compiler;
+            this.removedFiles.splice(0).forEach(filename => {
+                if (util.getAssetSource(compilation, filename) !== undefined) {
+                    return;
+                }
+                if (outputFileSystem && typeof outputFileSystem.unlink === 'function') {
+                    outputFileSystem.unlink(path.resolve(outputPath, filename), () => {
+                        // ignore error if file not exist
+                    });
+                }
+            });
+            Object.keys(this.entryMap).forEach(pageName => {
+                this.pageOutputFiles[pageName] = util.getChunkNameFiles(compilation, pageName).concat(util.getChunkNameAsyncFiles(compilation, pageName));
+            });
             if (outputPagemap) {
                 //noinspection JSUnresolvedVariable
                 const publicPath = util.getPublicPath(compilation);
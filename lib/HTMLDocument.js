@@ -2,7 +2,11 @@ const fs = require('fs');
 const path = require('path');
 const parse5 = require('parse5');
 const Resource = require('./Resource');
+const template = require('./template');
 const util = require('./util');
+const minify = require('./minify');
+const prettyHTML = require('./pretty');
+const { DOMDocument } = require('./dom');
 
 /**
  * default html template when no template is config
@@ -21,10 +25,65 @@ const DefaultHtmlTemplate = `
 `
 
 /**
- * cache parser5 return document to avoid parse same file multi times
- * @type {{htmlFilePath:document}}
+ * cache html template file content to avoid read same file multi times
+ * cache is invalid when template file's mtime changed
+ * @type {{htmlFilePath:{mtime:number,htmlString:string}}}
  */
-const HTMLDocumentCacheMap = {};
+const HTMLTemplateCacheMap = {};
+
+/**
+ * read html template file content with cache
+ * @param htmlTemplateFilePath full path for html template file
+ * @returns {string}
+ */
+function readTemplateFile(htmlTemplateFilePath) {
+    const mtime = fs.statSync(htmlTemplateFilePath).mtime.getTime();
+    const cache = HTMLTemplateCacheMap[htmlTemplateFilePath];
+    if (cache !== undefined && cache.mtime === mtime) {
+        return cache.htmlString;
+    }
+    const htmlString = fs.readFileSync(htmlTemplateFilePath, {
+        encoding: 'utf8'
+    });
+    HTMLTemplateCacheMap[htmlTemplateFilePath] = { mtime, htmlString };
+    return htmlString;
+}
+
+/**
+ * attr names used to find out same meta tag in template,eg: <meta name="viewport"> <meta http-equiv="X-UA-Compatible">
+ * @type {Array<string>}
+ */
+const MetaKeyAttrNames = ['charset', 'name', 'http-equiv', 'property', 'itemprop'];
+
+/**
+ * get the key attr of meta attrs
+ * @param attrs {Object} meta attrs,eg: {name:'viewport',content:'width=device-width'}
+ * @returns {string|undefined} eg: name=viewport
+ */
+function getMetaKey(attrs) {
+    const keyAttrName = MetaKeyAttrNames.find(name => attrs[name] !== undefined);
+    if (keyAttrName === 'charset') {
+        return keyAttrName;
+    }
+    return keyAttrName === undefined ? undefined : `${keyAttrName}=${attrs[keyAttrName]}`;
+}
+
+/**
+ * normalize meta option to attrs list
+ * typeof===Array: every element is attrs of a meta tag,eg: [{name:'viewport',content:'width=device-width'}]
+ * typeof===Object: key is meta name,value is content or attrs,eg: {viewport:'width=device-width'}
+ * @param meta {Array|Object}
+ * @returns {Array<Object>}
+ */
+function normalizeMeta(meta) {
+    if (Array.isArray(meta)) {
+        return meta;
+    }
+    return Object.keys(meta).map(name => {
+        const value = meta[name];
+        return typeof value === 'object' && value !== null ? value : { name, content: value };
+    });
+}
 
 /**
  * HTML Document Model
@@ -35,8 +94,18 @@ class HTMLDocument {
      * get parser5 document by html file path
      * if htmlTemplateFilePath is null,will use DefaultHtmlTemplate as template
      * @param htmlTemplateFilePath
+     * @param options
+     * options.templateEngine {function|boolean}
+     *      render template source with template engine before parse it,see template.renderTemplate
+     * options.templateData {Object}
+     *      data pass to template engine
+     * options.isProduction {boolean}
+     *      whether webpack compiler is in production env,pretty html output by default if not in production env
+     * options.extractStyle {boolean}
+     *      force whether inject required styles as css file,
+     *      default is inject required style only if its chunk files has css file
      */
-    constructor(htmlTemplateFilePath) {
+    constructor(htmlTemplateFilePath, options = {}) {
         /**
          * parse5 document
          */
@@ -71,22 +140,40 @@ class HTMLDocument {
          * html template file path for this HTMLDocument
          */
         this.htmlTemplateFilePath = htmlTemplateFilePath;
+        /**
+         * whether webpack compiler is in production env
+         * @type {boolean}
+         */
+        this.isProduction = options.isProduction === true;
+        /**
+         * force whether inject required styles as css file,undefined means detect by chunk files
+         * @type {boolean|undefined}
+         */
+        this.extractStyle = options.extractStyle;
+        /**
+         * files this HTMLDocument depend on,html template file and files included by template engine
+         * @type {Array}
+         */
+        this.fileDependencies = [];
 
         let htmlString = DefaultHtmlTemplate;
-        if (HTMLDocumentCacheMap.hasOwnProperty(htmlTemplateFilePath)) {
-            return HTMLDocumentCacheMap[htmlTemplateFilePath].clone();
-        } else {
-            if (typeof htmlTemplateFilePath === 'string') {
-                htmlTemplateFilePath = path.resolve('.', htmlTemplateFilePath);
-                this.htmlTemplateFilePath = htmlTemplateFilePath;
-                htmlString = fs.readFileSync(htmlTemplateFilePath, {
-                    encoding: 'utf8'
-                });
-            }
-            this.document = parse5.parse(htmlString);
-            this._findOutAll();
-            HTMLDocumentCacheMap[htmlTemplateFilePath] = this.clone();
+        if (typeof htmlTemplateFilePath === 'string') {
+            htmlTemplateFilePath = path.resolve('.', htmlTemplateFilePath);
+            this.htmlTemplateFilePath = htmlTemplateFilePath;
+            htmlString = readTemplateFile(htmlTemplateFilePath);
+            this.fileDependencies.push(htmlTemplateFilePath);
+        }
+        const { templateEngine, templateData } = options;
+        if (templateEngine) {
+            htmlString = template.renderTemplate(htmlString, {
+                templateEngine,
+                templateData,
+                htmlTemplateFilePath,
+                fileDependencies: this.fileDependencies,
+            });
         }
+        this.document = parse5.parse(htmlString);
+        this._findOutAll();
     }
 
     _findOutAll() {
@@ -191,78 +278,192 @@ class HTMLDocument {
         return leftStyleNodes;
     }
 
+    /**
+     * whether a required resource has css file to inject as style
+     * @param require {string} required resource,eg: chunkName?_inline
+     * @param compilation webpack compilation
+     * @returns {boolean}
+     */
+    _isRequireStyle(require, compilation) {
+        if (this.extractStyle !== undefined) {
+            return this.extractStyle === true;
+        }
+        const chunkName = require.split('?', 2)[0];
+        // css extracted by any plugin like mini-css-extract-plugin or extract-text-webpack-plugin is output in chunk files
+        return chunkName.endsWith('.css') || util.getChunkNameFiles(compilation, chunkName).some(fileName => fileName.endsWith('.css'));
+    }
+
     /**
      * make sure all required resource this html be inject in this.scriptResources and this.stylesResources
      * @param requires {Array}
+     * @param compilation webpack compilation,used to find out required chunk has css file or not
      */
-    ensureRequires(requires) {
+    ensureRequires(requires, compilation) {
         const lefts = [];
         lefts.push(...this._ensureRequireScripts([...requires]));
-        if (global._isExtractStyle) {
-            lefts.push(...this._ensureRequireStyles([...requires]));
-        }
+        lefts.push(...this._ensureRequireStyles(requires.filter(require => this._isRequireStyle(require, compilation))));
         this._findScriptStyleTagComment({
             childNodes: lefts
         });
     }
 
     /**
-     * get html string
-     * @returns {string}
+     * set html title,replace <title> in head or add a new one at head's end
+     * @param title {string}
      */
-    serialize() {
-        // in Production mode drop all comment and blank text
-        const mini = (childNodes) => {
-            for (let i = childNodes.length - 1; i >= 0; i--) {
-                const node = childNodes[i];
-                const nodeName = node.nodeName;
-                if (nodeName === '#comment' && !node.data.startsWith('[if ')) {
-                    childNodes.splice(i, 1);
-                } else if (nodeName === '#text') {
-                    node.value = node.value.trim();
-                    if (node.value.length === 0) {
-                        childNodes.splice(i, 1);
-                    }
+    setTitle(title) {
+        let titleNode = this.headNode.childNodes.find(node => node.nodeName === 'title');
+        if (titleNode === undefined) {
+            titleNode = {
+                nodeName: 'title',
+                tagName: 'title',
+                attrs: [],
+                parentNode: this.headNode,
+            };
+            this.headNode.childNodes.push(titleNode);
+        }
+        titleNode.childNodes = [{
+            nodeName: '#text',
+            value: title,
+            parentNode: titleNode
+        }];
+    }
+
+    /**
+     * mock a tag node in head
+     * @param tagName
+     * @param attrs {Object} eg: {rel:'icon',href:'favicon.ico'}
+     * @returns {*}
+     */
+    _mockHeadNode(tagName, attrs) {
+        return {
+            nodeName: tagName,
+            tagName,
+            parentNode: this.headNode,
+            attrs: Object.keys(attrs).map(name => ({ name, value: String(attrs[name]) })),
+        };
+    }
+
+    /**
+     * set meta tags in head,meta with same charset name http-equiv property or itemprop in template will be replaced
+     * new meta tag will be add after last meta tag in head
+     * @param meta {Array|Object} eg: [{name:'viewport',content:'width=device-width'}] or {viewport:'width=device-width'}
+     */
+    setMeta(meta) {
+        const { childNodes } = this.headNode;
+        normalizeMeta(meta).forEach(attrs => {
+            const metaKey = getMetaKey(attrs);
+            const metaNode = this._mockHeadNode('meta', attrs);
+            const index = childNodes.findIndex(node => {
+                if (node.nodeName !== 'meta' || metaKey === undefined) {
+                    return false;
                 }
+                const nodeAttrs = {};
+                node.attrs.forEach(attr => nodeAttrs[attr.name] = attr.value);
+                return getMetaKey(nodeAttrs) === metaKey;
+            });
+            if (index >= 0) {
+                childNodes.splice(index, 1, metaNode);
+            } else {
+                let lastMetaIndex = -1;
+                childNodes.forEach((node, i) => node.nodeName === 'meta' && (lastMetaIndex = i));
+                childNodes.splice(lastMetaIndex + 1, 0, metaNode);
             }
+        });
+    }
+
+    /**
+     * set base tag in head,replace <base> in template or add a new one at head's start
+     * @param base {string|Object} href of base or attrs of base,eg: {href:'/',target:'_blank'}
+     */
+    setBase(base) {
+        const baseNode = this._mockHeadNode('base', typeof base === 'string' ? { href: base } : base);
+        const { childNodes } = this.headNode;
+        const index = childNodes.findIndex(node => node.nodeName === 'base');
+        if (index >= 0) {
+            childNodes.splice(index, 1, baseNode);
+        } else {
+            // base should be placed before any url in head,but after <meta charset>
+            const charsetIndex = childNodes.findIndex(node => node.nodeName === 'meta' && node.attrs.some(attr => attr.name === 'charset'));
+            childNodes.splice(charsetIndex + 1, 0, baseNode);
         }
-        // pretty html output
-        const pretty = (childNodes) => {
-            for (let i = childNodes.length - 1; i >= 0; i--) {
-                const node = childNodes[i];
-                const preNode = childNodes[i - 1];
-                if (node.nodeName !== '#text') {
-                    if (preNode) {
-                        if (preNode.nodeName === '#text' && preNode.value.indexOf('\n') >= 0) {
-                            return;
-                        }
-                    }
-                    util.replaceNodesWithNodes([node], [{
-                        nodeName: '#text',
-                        value: '\n',
-                        parentNode: node.parentNode
-                    }, node])
-                }
+    }
+
+    /**
+     * set favicon link tag in head,replace <link rel="icon"> or <link rel="shortcut icon"> in template or add a new one at head's end
+     * @param href {string} favicon url
+     */
+    setFavicon(href) {
+        const { childNodes } = this.headNode;
+        const iconNode = this._mockHeadNode('link', { rel: 'icon', href });
+        const index = childNodes.findIndex(node => node.nodeName === 'link' && node.attrs.some(attr => attr.name === 'rel' && /^(shortcut )?icon$/i.test(attr.value)));
+        if (index >= 0) {
+            childNodes.splice(index, 1, iconNode);
+        } else {
+            childNodes.push(iconNode);
+        }
+    }
+
+    /**
+     * insert resource hint link tags in head before any script or style,so browser can discover them early
+     * same rel and href will only insert once
+     * @param resourceHints {Array} eg: [{rel:'preload',href:'/a.js',as:'script'},{rel:'prefetch',href:'/1.js'}]
+     */
+    insertResourceHints(resourceHints) {
+        const hintNodes = [];
+        const hintKeys = new Set();
+        resourceHints.forEach(hint => {
+            const key = `${hint.rel} ${hint.href}`;
+            if (!hintKeys.has(key)) {
+                hintKeys.add(key);
+                hintNodes.push(util.mockResourceHintNode(Object.assign({}, hint, {
+                    parentNode: this.headNode
+                })), {
+                    nodeName: '#text',
+                    value: '\n',
+                    parentNode: this.headNode
+                });
             }
+        });
+        if (hintNodes.length === 0) {
+            return;
         }
-        const f = global._isProduction ? mini : pretty;
-        f(this.headNode.childNodes);
-        f(this.bodyNode.childNodes);
-        return parse5.serialize(this.document);
+        const { childNodes } = this.headNode;
+        const index = childNodes.findIndex(node => {
+            const { nodeName } = node;
+            return nodeName === 'script' || nodeName === 'style' || nodeName === 'link' || (nodeName === '#comment' && node.data.startsWith('[if '));
+        });
+        childNodes.splice(index >= 0 ? index : childNodes.length, 0, ...hintNodes);
     }
 
     /**
-     * clone this for reuse it to improve performance
-     * @returns {HTMLDocument}
+     * let user mutate html document with a DOM like API,see dom.DOMDocument
+     * @param transform {function} (doc,context)=>void|Promise
+     * @param context {Object} pass to transform
+     * @returns {*} transform's return value
+     */
+    transform(transform, context) {
+        return transform(new DOMDocument(this.document), context);
+    }
+
+    /**
+     * minify html document,see minify.minifyDocument
+     * @param options {boolean|Object} WebPlugin options.minify
+     * @returns {Promise} resolved after document is minified
+     */
+    minify(options) {
+        this.minified = minify.normalizeOptions(options) !== undefined;
+        return minify.minifyDocument(this.document, options);
+    }
+
+    /**
+     * get html string
+     * @param pretty {boolean|Object} WebPlugin options.pretty,see pretty.serializeDocument
+     *      default is pretty if not in Production mode and not minified
+     * @returns {string}
      */
-    clone() {
-        const ret = Object.assign({}, this);
-        ret.__proto__ = this.__proto__;
-        ret.headNode.childNodes = [...this.headNode.childNodes];
-        ret.bodyNode.childNodes = [...this.bodyNode.childNodes];
-        ret.stylesResources = this.stylesResources.map(stylesResource => stylesResource.clone());
-        ret.scriptResources = this.scriptResources.map(scriptResource => scriptResource.clone());
-        return ret;
+    serialize(pretty = !this.isProduction && !this.minified) {
+        return prettyHTML.serializeDocument(this.document, pretty);
     }
 
 }
@@ -4,37 +4,51 @@ const parse5 = require('parse5');
 const querystring = require('querystring');
 const url = require('url');
 const util = require('./util');
+const singleFile = require('./singleFile');
 
 /**
  * get query param from url string
  * @param queryString url string from <script src=queryString> or <link href=queryString>
- * @returns {{dist: boolean, inline: boolean, dev: boolean, ie: boolean}}
+ * @returns {{dist: boolean, inline: boolean, noinline: boolean, dev: boolean, ie: boolean, preload: boolean, prefetch: boolean, async: boolean, defer: boolean, module: boolean, nomodule: boolean}}
  */
 function parseQuery(queryString) {
     const query = querystring.parse(queryString);
     return {
         dist: query['_dist'] !== undefined,
         inline: query['_inline'] !== undefined,
+        noinline: query['_noinline'] !== undefined,
         dev: query['_dev'] !== undefined,
         ie: query['_ie'] !== undefined,
+        preload: query['_preload'] !== undefined,
+        prefetch: query['_prefetch'] !== undefined,
+        async: query['_async'] !== undefined,
+        defer: query['_defer'] !== undefined,
+        module: query['_module'] !== undefined,
+        nomodule: query['_nomodule'] !== undefined,
     }
 }
 
 /**
- * get webpack compilation output files chunk by chunkName
- * @param compilation
- * @param chunkName
- * @returns {*} relate files for chunkName
+ * whether a chunk file should be inlined automatically by inlineThreshold and inlineTest
+ * @param fileName output file name
+ * @param fileContent output file content
+ * @param options Resource.out options
+ * @returns {boolean}
  */
-function getChunkFiles(compilation, chunkName) {
-    const { chunks } = compilation;
-    for (let i = 0; i < chunks.length; i++) {
-        let chunk = chunks[i];
-        if (chunk.name === chunkName) {
-            return chunk.files;
-        }
+function isAutoInline(fileName, fileContent, options) {
+    const { inlineThreshold, inlineTest } = options;
+    if (inlineThreshold === undefined && inlineTest === undefined) {
+        return false;
+    }
+    if (inlineThreshold !== undefined && Buffer.byteLength(fileContent) >= inlineThreshold) {
+        return false;
     }
-    return [];
+    if (inlineTest instanceof RegExp) {
+        return inlineTest.test(fileName);
+    } else if (typeof inlineTest === 'function') {
+        return inlineTest(fileName) === true;
+    }
+    return true;
 }
 
 /**
@@ -76,17 +90,13 @@ function commentNodes(nodes, parentNode) {
 }
 
 /**
- * clone a parser5 node
- * @param node
- * @returns {Node}
+ * attrs in html template node will not be keep on output nodes,they are generated by Resource
+ * @type {{script: Array<string>, style: Array<string>}}
  */
-function cloneNode(node) {
-    let ret = Object.assign({}, node);
-    delete ret.parentNode;
-    ret = JSON.parse(JSON.stringify(ret));
-    ret.parentNode = node.parentNode;
-    return ret;
-}
+const GeneratedAttrNames = {
+    script: ['src', 'integrity'],
+    style: ['rel', 'href', 'integrity'],
+};
 
 /**
  * a script resource or a style resource in HTMLDocument
@@ -140,51 +150,148 @@ class Resource {
             this.data = node.data;
             this.type = 'comment';
         }
+        /**
+         * attrs write in html template node like id nonce data-*,will be keep on every output node
+         * @type {Array}
+         */
+        this.attrs = [];
+        if (this.type === 'script' || this.type === 'style') {
+            const generatedAttrNames = GeneratedAttrNames[this.type];
+            this.attrs = attrs.filter(attr => generatedAttrNames.indexOf(attr.name) < 0);
+        }
         this.outputNodes = [node];
+        /**
+         * nodes output from webpack chunk files in last out,used to pair with other module type compilation
+         * @type {Array}
+         */
+        this.chunkNodes = [];
     }
 
-    out(compilation, publicPath) {
-        const { _isProduction } = global;
+    /**
+     * resolve this resource to output nodes in html document
+     * @param compilation webpack compilation
+     * @param publicPath publicPath for output file url
+     * @param options
+     * options.integrity {string}
+     *      Subresource Integrity hash algorithm for not inline file, one of sha256 sha384 sha512
+     * options.crossorigin {string}
+     *      crossorigin attr for node with integrity
+     * options.outputFiles {Set}
+     *      files has been output in this page,file in it will not output again
+     * options.isProduction {boolean}
+     *      whether webpack compiler is in production env,used by _dist and _dev
+     * options.resourceHints {Array}
+     *      resource hints for this page will be push into it,eg: {rel:'preload',href:'/a.js',as:'script'}
+     * options.preload {boolean}
+     *      preload all output files load by url like _preload
+     * options.prefetch {boolean}
+     *      prefetch all async chunk files reachable from this resource like _prefetch
+     * options.preconnect {boolean}
+     *      preconnect external origin of resource left untouched,eg: http://qq.com/hi.js
+     * options.moduleType {string}
+     *      module or nomodule,add type="module" or nomodule attr to all script output from webpack chunk
+     * options.singleFile {boolean}
+     *      inline all files like _inline,url() in css will be inlined as data URI and async chunks will be inlined too
+     * options.inlineThreshold {number}
+     *      inline chunk file smaller than it in bytes automatically,resource with _noinline will not be inlined
+     * options.inlineTest {RegExp|function}
+     *      inline chunk file whose name match it automatically,typeof===function: (fileName)=>boolean
+     * options.inlinedFiles {Set}
+     *      webpack output files inlined in this page will be add to it
+     */
+    out(compilation, publicPath, options = {}) {
+        const { integrity, crossorigin, outputFiles = new Set(), isProduction = false, resourceHints = [], moduleType, inlinedFiles = new Set() } = options;
         const parentNode = this.node.parentNode;
-        const { chunkName, outputNodes, query, type } = this;
-        const { assets } = compilation;
+        const { chunkName, outputNodes, query, type, attrs } = this;
+        // singleFile mode inline all files
+        const inline = query.inline || options.singleFile === true;
         let newNodes = [];
 
         // add a file to newNodes
-        const outToNewNodes = (fileName, fileContent) => {
+        const outToNewNodes = (fileName, fileContent, isChunkFile = false) => {
+            // script output js file only, style output css file only
+            if (!(type === 'script' && fileName.endsWith('.js')) && !(type === 'style' && fileName.endsWith('.css'))) {
+                return;
+            }
+            // file has been output by other resource in this page
+            if (outputFiles.has(fileName)) {
+                return;
+            }
+            outputFiles.add(fileName);
+            // inline small or matched chunk file automatically,unless resource opt out with _noinline
+            const fileInline = inline || (isChunkFile && !query.noinline && isAutoInline(fileName, fileContent, options));
+            // only file load by url need integrity check
+            const fileIntegrity = () => integrity ? util.getIntegrity(fileContent, integrity) : undefined;
+            const isModule = query.module || (isChunkFile && moduleType === 'module');
+            const isNomodule = query.nomodule || (isChunkFile && moduleType === 'nomodule');
+            // browser support module will not load nomodule script,so don't preload it
+            if ((query.preload || options.preload) && !fileInline && !query.ie && !(type === 'script' && isNomodule)) {
+                // module script should be preload with modulepreload
+                const isModulePreload = type === 'script' && isModule;
+                resourceHints.push({
+                    rel: isModulePreload ? 'modulepreload' : 'preload',
+                    href: url.resolve(publicPath || '', fileName),
+                    as: isModulePreload ? undefined : type,
+                    integrity: fileIntegrity(),
+                    crossorigin,
+                });
+            }
+            if (fileInline && isChunkFile) {
+                inlinedFiles.add(fileName);
+                if (type === 'style' && options.singleFile === true) {
+                    fileContent = singleFile.inlineCSSUrls(compilation, fileContent.toString(), fileName, inlinedFiles);
+                }
+            }
             if (type === 'script') {
-                // output js file only
-                if (fileName.endsWith('.js')) {
-                    if (query.inline) {
-                        // inline javascript content to script
-                        newNodes.push(util.mockScriptNode({
-                            content: fileContent,
-                            parentNode,
-                        }))
-                    } else {
-                        // load this javascript file with src
-                        newNodes.push(util.mockScriptNode({
-                            src: url.resolve(publicPath || '', fileName),
-                            parentNode,
-                        }))
-                    }
+                if (fileInline) {
+                    // inline javascript content to script
+                    const scriptNode = util.mockScriptNode({
+                        content: util.toInlineContent(fileContent, type),
+                        module: isModule,
+                        nomodule: isNomodule,
+                        attrs,
+                        parentNode,
+                    });
+                    // mark script from webpack output,html minify will skip it
+                    scriptNode.inlinedAsset = isChunkFile;
+                    // manifest record inlined file name instead of content
+                    scriptNode.inlinedFile = fileName;
+                    newNodes.push(scriptNode);
+                } else {
+                    // load this javascript file with src
+                    newNodes.push(util.mockScriptNode({
+                        src: url.resolve(publicPath || '', fileName),
+                        integrity: fileIntegrity(),
+                        crossorigin,
+                        async: query.async,
+                        defer: query.defer,
+                        module: isModule,
+                        nomodule: isNomodule,
+                        attrs,
+                        parentNode,
+                    }))
                 }
             } else if (type === 'style') {
-                // output css file only
-                if (fileName.endsWith('.css')) {
-                    if (query.inline) {
-                        // inline javascript content to script
-                        newNodes.push(util.mockStyleNode({
-                            content: fileContent,
-                            parentNode,
-                        }))
-                    } else {
-                        // load this javascript file with src
-                        newNodes.push(util.mockStyleNode({
-                            href: url.resolve(publicPath || '', fileName),
-                            parentNode,
-                        }))
-                    }
+                if (fileInline) {
+                    // inline javascript content to script
+                    const styleNode = util.mockStyleNode({
+                        content: util.toInlineContent(fileContent, type),
+                        attrs,
+                        parentNode,
+                    });
+                    // mark style from webpack output,html minify will skip it
+                    styleNode.inlinedAsset = isChunkFile;
+                    styleNode.inlinedFile = fileName;
+                    newNodes.push(styleNode);
+                } else {
+                    // load this javascript file with src
+                    newNodes.push(util.mockStyleNode({
+                        href: url.resolve(publicPath || '', fileName),
+                        integrity: fileIntegrity(),
+                        crossorigin,
+                        attrs,
+                        parentNode,
+                    }))
                 }
             }
         }
@@ -198,7 +305,7 @@ class Resource {
                 this.outputNodes = newNodes;
             } else {
                 // 找不到对应的输出文件
-                if (compilation.chunks.findIndex(chunk => chunk.name === this.chunkName) > -1) {
+                if (util.getEntrypoint(compilation, this.chunkName) || util.getChunks(compilation).findIndex(chunk => chunk.name === this.chunkName) > -1) {
                     // 如果在 compilation.chunks 里找到了 this.chunkName 对应的入口，但是找不到对应的输出文件，就把 outputNodes 从文档流去除
                     // 比如 this.chunkName 是 之后动态生成的 common 入口
                     // newNodes为空，调用把 outputNodes 从文档流去除
@@ -215,9 +322,12 @@ class Resource {
                             const fileContent = fs.readFileSync(filePath, {
                                 encoding: 'utf8'
                             });
+                            // 这个文件改变时重新构建html
+                            // rebuild html when this file changed
+                            util.addFileDependency(compilation, filePath);
                             const filename = util.getFilenameByFilePath(filePath);
 
-                            if (query.inline) {
+                            if (inline) {
                                 // 如果该文件是要inline进本html的
                             } else {
                                 // 如果该文件是要通过src加载进本html的
@@ -232,28 +342,59 @@ class Resource {
                     }
                     // 剩下的情况就把outputNodes 保留在文档流里不动outputNodes。
                     // 比如引入自定义url http://qq.com/hi.js
+                    if (options.preconnect && /^(https?:)?\/\//.test(this.chunkName)) {
+                        // preconnect to external origin,eg: http://qq.com/hi.js => http://qq.com
+                        const { protocol, host } = url.parse(this.chunkName, false, true);
+                        resourceHints.push({
+                            rel: 'preconnect',
+                            href: `${protocol || ''}//${host}`,
+                        });
+                    }
                 }
             }
         }
 
-        if (query.dev && _isProduction === true) {
+        if (query.dev && isProduction === true) {
             // remove dev only resource
             newNodes = commentNodes(outputNodes, parentNode);
             outToOutputNodes();
             return;
         }
-        if (query.dist && _isProduction === false) {
+        if (query.dist && isProduction === false) {
             // remove dist only resource
             newNodes = commentNodes(outputNodes, parentNode);
             outToOutputNodes();
             return;
         }
 
-        const fileNames = getChunkFiles(compilation, chunkName);
+        const fileNames = util.getChunkNameFiles(compilation, chunkName);
         fileNames.forEach(fileName => {
-            const source = assets[fileName];
-            outToNewNodes(fileName, source.source());
+            outToNewNodes(fileName, util.getAssetSource(compilation, fileName), true);
         });
+        if (options.singleFile === true && type === 'script') {
+            // bundle async chunks into html,so they will not be load by url
+            const chunkNodesLength = newNodes.length;
+            util.getChunkNameAsyncFiles(compilation, chunkName).forEach(fileName => {
+                outToNewNodes(fileName, util.getAssetSource(compilation, fileName), true);
+            });
+            // webpack >= 4 runtime install chunks pushed before it,webpack 2 3 runtime should be run before chunks
+            if (util.isHooksCompiler(compilation.compiler)) {
+                newNodes = newNodes.slice(chunkNodesLength).concat(newNodes.slice(0, chunkNodesLength));
+            }
+        }
+        this.chunkNodes = newNodes.slice();
+
+        if ((query.prefetch || options.prefetch) && !inline && moduleType !== 'nomodule') {
+            // prefetch async chunks may be load by this resource later
+            util.getChunkNameAsyncFiles(compilation, chunkName).forEach(fileName => {
+                if ((type === 'script' && fileName.endsWith('.js')) || (type === 'style' && fileName.endsWith('.css'))) {
+                    resourceHints.push({
+                        rel: 'prefetch',
+                        href: url.resolve(publicPath || '', fileName),
+                    });
+                }
+            });
+        }
 
         if (query.ie) {
             newNodes = surroundWithIE(newNodes, parentNode);
@@ -262,11 +403,30 @@ class Resource {
         outToOutputNodes();
     }
 
-    clone() {
-        const ret = Object.assign({}, this);
-        ret.__proto__ = this.__proto__;
-        ret.node = cloneNode(this.node);
-        return ret;
+    /**
+     * output script nodes of the other module type compilation next to output nodes of this resource,
+     * module scripts is placed before nomodule scripts
+     * @param pairNodes {Array} chunkNodes of this resource in the other compilation
+     * @param moduleType module type of this compilation,module or nomodule
+     */
+    outPairNodes(pairNodes, moduleType) {
+        const { outputNodes, query } = this;
+        if (this.type !== 'script' || pairNodes.length === 0 || outputNodes.length === 0) {
+            return;
+        }
+        const { parentNode } = outputNodes[0];
+        let nodes = pairNodes.map(node => Object.assign({}, node, { parentNode }));
+        if (query.ie) {
+            nodes = surroundWithIE(nodes, parentNode);
+        }
+        const { childNodes } = parentNode;
+        if (moduleType === 'module') {
+            childNodes.splice(childNodes.indexOf(outputNodes[outputNodes.length - 1]) + 1, 0, ...nodes);
+            this.outputNodes = outputNodes.concat(nodes);
+        } else {
+            childNodes.splice(childNodes.indexOf(outputNodes[0]), 0, ...nodes);
+            this.outputNodes = nodes.concat(outputNodes);
+        }
     }
 }
 
@@ -1,7 +1,65 @@
 const fs = require('fs');
+const crypto = require('crypto');
+const url = require('url');
+const path = require('path');
 const querystring = require('querystring');
 const util = require('./util');
 const HTMLDocument = require('./HTMLDocument');
+const liveReload = require('./liveReload');
+const csp = require('./csp');
+const manifest = require('./manifest');
+const hooksUtil = require('./hooks');
+const singleFile = require('./singleFile');
+const removeInlined = require('./removeInlined');
+const differential = require('./differential');
+
+/**
+ * get data pass to template engine for a page
+ * @param compilation webpack compilation
+ * @param options WebPlugin options
+ * @returns {{pageName: string, hash: string, publicPath: string, chunks: {chunkName: Array}, templateData: Object}}
+ */
+function getTemplateData(compilation, options) {
+    const publicPath = util.getPublicPath(compilation, options.filename);
+    const chunks = {};
+    util.getChunkNames(compilation).forEach(chunkName => {
+        chunks[chunkName] = util.getChunkNameFiles(compilation, chunkName).map(fileName => {
+            const filePublicPath = fileName.endsWith('.css') && options.stylePublicPath ? options.stylePublicPath : publicPath;
+            return url.resolve(filePublicPath, fileName);
+        });
+    });
+    return {
+        pageName: options.pageName,
+        //noinspection JSUnresolvedVariable
+        hash: compilation.hash,
+        publicPath,
+        chunks,
+        templateData: options.templateData,
+    };
+}
+
+/**
+ * copy favicon file to webpack output with content hash in filename
+ * @param compilation webpack compilation
+ * @param faviconPath favicon file path
+ * @param inline {boolean} return data URI and not output it,used by singleFile mode
+ * @param htmlFilename html output filename,url is relative to it if publicPath is relative
+ * @returns {string} favicon url
+ */
+function outputFavicon(compilation, faviconPath, inline, htmlFilename) {
+    faviconPath = path.resolve('.', faviconPath);
+    const fileContent = fs.readFileSync(faviconPath);
+    if (inline) {
+        util.addFileDependency(compilation, faviconPath);
+        return singleFile.toDataURI(fileContent, faviconPath);
+    }
+    const hash = crypto.createHash('md5').update(fileContent).digest('hex').substr(0, 8);
+    const ext = path.extname(faviconPath);
+    const filename = `${path.basename(faviconPath, ext)}.${hash}${ext}`;
+    util.addFileToWebpackOutput(compilation, filename, fileContent);
+    util.addFileDependency(compilation, faviconPath);
+    return url.resolve(util.getPublicPath(compilation, htmlFilename), filename);
+}
 
 /**
  * an WebPlugin handle a html page
@@ -18,11 +76,153 @@ class WebPlugin {
      *      this html's require entry list, will use list's order to place require entry
      * options.stylePublicPath {string}
      *      publicPath for css file,for js file will use webpack.publicPath
+     * options.integrity {string}
+     *      add Subresource Integrity attr to every script and style load by url,value is hash algorithm one of sha256 sha384 sha512
+     *      resource not output by webpack like http://cdn.com/jquery.js will be left untouched
+     * options.crossorigin {string}
+     *      crossorigin attr for script and style with integrity,default is anonymous
+     * options.templateEngine {function|boolean}
+     *      render html template with template engine before parse it
+     *      true: use built-in lodash template style engine,support <%= %> <%- %> <% %>
+     *      function(source,data)=>string: use custom template engine like ejs handlebars
+     *      data has pageName hash publicPath chunks templateData and include(filePath) to include other template file
+     * options.templateData {Object}
+     *      user data pass to template engine as data.templateData
+     * options.pageName {string}
+     *      page name pass to template engine,default is filename without ext
+     * options.title {string}
+     *      set html title,replace <title> in template or add a new one in head
+     * options.meta {Array|Object}
+     *      set meta tags in head,meta with same charset name http-equiv property in template will be replaced
+     *      typeof===Array: attrs of every meta tag,eg: [{name:'viewport',content:'width=device-width'},{'http-equiv':'X-UA-Compatible',content:'IE=edge'}]
+     *      typeof===Object: meta name to content,eg: {viewport:'width=device-width'}
+     * options.favicon {string}
+     *      favicon file path,will be copied to output with hash in filename,replace <link rel="icon"> in template
+     * options.base {string|Object}
+     *      set <base> in head,typeof===string: base href,typeof===Object: base attrs like {href:'/',target:'_blank'}
+     * options.minify {boolean|Object}
+     *      minify html output,default is true in production env and false in other env
+     *      collapseWhitespace {boolean}: collapse whitespace in text,whitespace in <pre> <textarea> will be keep,default is true
+     *      removeComments {boolean}: remove comments except conditional comments and license comments <!--! -->,default is true
+     *      removeRedundantAttributes {boolean}: remove attrs with default value like <script type="text/javascript">,default is true
+     *      minifyJS {boolean|function}: minify inline script,true use uglify-js or terser if installed,or (code)=>code or (code)=>Promise<code>,default is true
+     *      minifyCSS {boolean|function}: minify inline style,true use built in css minify,or (code)=>code or (code)=>Promise<code>,default is true
+     * options.pretty {boolean|Object}
+     *      pretty html output,every block element will be placed on its own line with indent,
+     *      default is true if not in production env and not minified
+     *      indent {number|string}: indent spaces count or indent string like \t,default is 4
+     *      wrapAttributes {number}: put every attribute on its own line when start tag is longer than it,default is 0 means never wrap
+     * options.transform {function}
+     *      (doc,context)=>void|Promise mutate html document after resources are injected,see dom.DOMDocument
+     *      doc has querySelector querySelectorAll append prepend remove setAttribute insertHTML like DOM
+     *      context is {pageName,filename,hash,publicPath,chunks,templateData},chunks is chunkName to file urls
+     * options.singleFile {boolean}
+     *      output a self-contained html,all scripts styles async chunks are inlined,
+     *      url() in inlined css and <img src> in template are inlined as data URI,inlined files are removed from webpack output
+     *      async chunks import when page start need webpack >= 4,webpack 2 3 runtime request them before inlined chunks are installed
+     * options.inlineThreshold {number}
+     *      inline js and css chunk file smaller than it in bytes automatically,like webpack runtime chunk
+     *      resource with _noinline will not be inlined automatically
+     * options.inlineTest {RegExp|function}
+     *      inline js and css chunk file whose name match it automatically,typeof===function: (fileName)=>boolean
+     *      work with inlineThreshold to inline file both match it and smaller than inlineThreshold
+     * options.removeInlined {boolean}
+     *      remove chunk files inlined in this page and their source maps from webpack output,default is false
+     *      file still load by url in any other page will be keep,always true in singleFile mode
+     * options.liveReload {boolean}
+     *      reload page in browser when html template changed in webpack-dev-server,default is true,set false to disable it
+     *      only work in watch mode and not production env,an inline script is injected into head
+     * options.mode {string}
+     *      force env for this page,one of production development,default is detect from webpack compiler
+     * options.extractStyle {boolean}
+     *      force whether inject required styles as css file,default is inject if required chunk has css file
+     * options.resourceHints {Object}
+     *      generate resource hint link tags in head,resource can also use query _preload _prefetch to enable it one by one
+     *      preload {boolean}: <link rel="preload" as="script|style"> for all output files load by url
+     *      prefetch {boolean}: <link rel="prefetch"> for all async chunks reachable from required chunks
+     *      preconnect {boolean}: <link rel="preconnect"> for external origins in html template,eg: http://cdn.com/jquery.js
+     * options.moduleType {string}
+     *      module or nomodule,for differential serving build by multi compilers
+     *      use WebPlugin with same filename and different moduleType in modern and legacy compiler,
+     *      html file will contain <script type="module"> for modern compiler and <script nomodule> for legacy compiler
+     *      compiler emit first will wait for the other one,script url use publicPath of its own compiler
+     * options.csp {Object}
+     *      generate Content Security Policy for inline scripts and styles
+     *      type {string}: hash or nonce,default is hash
+     *      algorithm {string}: hash algorithm for type hash,one of sha256 sha384 sha512,default is sha256
+     *      nonce {string}: nonce placeholder for type nonce,server should replace it for every response,default is __CSP_NONCE__
+     *      directives {Object}: base policy directives,default is {'script-src':["'self'"],'style-src':["'self'"]}
+     *      output {string}: meta output <meta http-equiv="Content-Security-Policy"> in head,json output [filename].csp.json,default is meta
+     * options.manifest {boolean|string|Object}
+     *      output a manifest file contains every page's scripts and styles in order,so backend can render page by itself
+     *      true: output manifest.json
+     *      typeof===string: manifest filename
+     *      typeof===Object: {filename,serialize(manifest)=>string}
      * @constructor
      */
     constructor(options) {
-        this.options = options;
-        this.htmlDocument = new HTMLDocument(options.template);
+        /**
+         * html template files this page depend on in last emit
+         * @type {Array}
+         */
+        this.fileDependencies = [];
+        /**
+         * template snapshot in last emit,used to detect template change
+         * @type {string}
+         */
+        this.templateSnapshot = undefined;
+        /**
+         * whether webpack is run in watch mode
+         * @type {boolean}
+         */
+        this.watchMode = false;
+        /**
+         * whether output html,AutoWebPlugin disable it when page is removed in watch mode
+         * @type {boolean}
+         */
+        this.enabled = true;
+        this.setOptions(options);
+    }
+
+    /**
+     * check and normalize options then use them on next emit,see constructor for options
+     * AutoWebPlugin call it when page config changed in watch mode,so hooks will not be tapped again by a new WebPlugin
+     * @param options
+     */
+    setOptions(options) {
+        const { mode, moduleType } = options;
+        if (mode !== undefined && mode !== 'production' && mode !== 'development') {
+            throw new Error(`WebPlugin mode option should be one of production,development, but got ${mode}`);
+        }
+        if (moduleType !== undefined && moduleType !== 'module' && moduleType !== 'nomodule') {
+            throw new Error(`WebPlugin moduleType option should be one of module,nomodule, but got ${moduleType}`);
+        }
+        const { integrity } = options;
+        if (integrity !== undefined && util.IntegrityAlgorithms.indexOf(integrity) < 0) {
+            throw new Error(`WebPlugin integrity option should be one of ${util.IntegrityAlgorithms.join(',')}, but got ${integrity}`);
+        }
+        const { inlineThreshold, inlineTest } = options;
+        if (inlineThreshold !== undefined && typeof inlineThreshold !== 'number') {
+            throw new Error(`WebPlugin inlineThreshold option should be a number, but got ${inlineThreshold}`);
+        }
+        if (inlineTest !== undefined && !(inlineTest instanceof RegExp) && typeof inlineTest !== 'function') {
+            throw new Error(`WebPlugin inlineTest option should be a RegExp or function, but got ${inlineTest}`);
+        }
+        if (options.csp !== undefined) {
+            const { type = 'hash', algorithm = 'sha256', output = 'meta' } = options.csp;
+            if (type !== 'hash' && type !== 'nonce') {
+                throw new Error(`WebPlugin csp.type option should be one of hash,nonce, but got ${type}`);
+            }
+            if (util.IntegrityAlgorithms.indexOf(algorithm) < 0) {
+                throw new Error(`WebPlugin csp.algorithm option should be one of ${util.IntegrityAlgorithms.join(',')}, but got ${algorithm}`);
+            }
+            if (output !== 'meta' && output !== 'json') {
+                throw new Error(`WebPlugin csp.output option should be one of meta,json, but got ${output}`);
+            }
+        }
+        if (options.pageName === undefined) {
+            options.pageName = path.basename(options.filename, path.extname(options.filename));
+        }
         let { requires } = options;
         // if requires is object then convert it to querystring array
         if (typeof requires === 'object' && requires.constructor === Object) {
@@ -35,45 +235,262 @@ class WebPlugin {
             requires = [];
         }
         options.requires = requires;
+        this.options = options;
+        // template may be changed,html should be output again
+        this.fileDependencies = typeof options.template === 'string' ? [path.resolve('.', options.template)] : [];
+        this.templateSnapshot = undefined;
+    }
+
+    /**
+     * get WebPlugin hooks for a compilation,see hooks.getHooks
+     * @param compilation webpack compilation
+     * @returns {{beforeAssetInjection, alterAssetTags, afterDocumentBuilt, afterEmit}}
+     */
+    static getHooks(compilation) {
+        return hooksUtil.getHooks(compilation);
     }
 
     // call by webpack
     apply(compiler) {
-        const { htmlDocument, options } = this;
-        // get webpack compiler's env
-        if (global._isProduction === undefined) {
-            global._isProduction = util.isProduction(compiler);
-        }
-        if (global._isExtractStyle === undefined) {
-            global._isExtractStyle = util.isExtractStyle(compiler);
+        util.onWatchRun(compiler, 'WebPlugin', () => {
+            this.watchMode = true;
+        });
+        // in watch mode template change should change compilation hash,
+        // so webpack-dev-server will notify browser even if no js changed
+        util.onHash(compiler, 'WebPlugin', hash => {
+            if (this.watchMode) {
+                hash.update(liveReload.getTemplateSnapshot(this.fileDependencies));
+            }
+        });
+
+        if (this.options.moduleType !== undefined) {
+            // result of last build should not be used by the other module type compiler
+            util.onThisCompilation(compiler, 'WebPlugin', () => differential.startBuild(this.options.filename, this.options.moduleType));
+            util.onDone(compiler, 'WebPlugin', () => differential.finishBuild(this.options.filename, this.options.moduleType));
         }
 
-        //noinspection JSUnresolvedFunction
-        compiler.plugin('emit', function (compilation, callback) {
+        util.onEmit(compiler, 'WebPlugin', (compilation, callback) => {
+            // options may be updated by AutoWebPlugin in watch mode
+            const { options } = this;
+            if (!this.enabled) {
+                callback();
+                return;
+            }
+
+            // get webpack compiler's env,keep it for this compiler only so multi compilers will not affect each other
+            // detect on emit as webpack 5 apply default options after plugins
+            const isProduction = options.mode !== undefined ? options.mode === 'production' : util.isProduction(compiler);
 
-            // HotUpdateCompilation should be ignore for html will not change
-            if (util.isHotUpdateCompilation(compilation)) {
+            // create html document on every emit,so template changes in watch mode will be output
+            let htmlDocument;
+            try {
+                htmlDocument = new HTMLDocument(options.template, {
+                    templateEngine: options.templateEngine,
+                    templateData: options.templateEngine ? getTemplateData(compilation, options) : undefined,
+                    isProduction,
+                    extractStyle: options.extractStyle,
+                });
+            } catch (err) {
+                // keep watching template file,rebuild when it has been fixed
+                if (typeof options.template === 'string') {
+                    util.addFileDependency(compilation, path.resolve('.', options.template));
+                }
+                compilation.errors.push(err);
                 callback();
                 return;
             }
+            htmlDocument.fileDependencies.forEach(filePath => util.addFileDependency(compilation, filePath));
+            if (typeof options.title === 'string') {
+                htmlDocument.setTitle(options.title);
+            }
+            if (typeof options.meta === 'object' && options.meta !== null) {
+                htmlDocument.setMeta(options.meta);
+            }
+            if (options.base !== undefined) {
+                htmlDocument.setBase(options.base);
+            }
+            if (typeof options.favicon === 'string') {
+                try {
+                    htmlDocument.setFavicon(outputFavicon(compilation, options.favicon, options.singleFile === true, options.filename));
+                } catch (err) {
+                    compilation.errors.push(err);
+                }
+            }
 
-            htmlDocument.ensureRequires(options.requires);
-            // out scripts to html document
-            htmlDocument.scriptResources.forEach(scriptResource => {
-                //noinspection JSUnresolvedVariable
-                scriptResource.out(compilation, util.getPublicPath(compilation));
-            });
-            // out styles to html document
-            htmlDocument.stylesResources.forEach(scriptResource => {
+            const templateSnapshot = liveReload.getTemplateSnapshot(htmlDocument.fileDependencies);
+            // HotUpdateCompilation should be ignore if only js changed for html will not change
+            if (util.isHotUpdateCompilation(compilation) && templateSnapshot === this.templateSnapshot) {
+                // html not changed still load files by url in last emit
+                if (this.pageFiles !== undefined) {
+                    removeInlined.updatePageFiles(compilation, options.filename, this.pageFiles);
+                }
+                if (this.differentialResult !== undefined) {
+                    differential.pair(options.filename, options.moduleType, this.differentialResult);
+                }
+                // keep this page in manifest file output by other pages
+                if (this.pageManifest !== undefined) {
+                    manifest.outputPageManifest(compilation, options.manifest, options.pageName, this.pageManifest);
+                }
+                callback();
+                return;
+            }
+            this.templateSnapshot = templateSnapshot;
+            this.fileDependencies = htmlDocument.fileDependencies;
+
+            // webpack output files output and inlined in this page
+            let outputFiles = new Set();
+            let inlinedFiles = new Set();
+            // the other module type compiler output later will output the complete html file to the same path
+            let pairOutput = false;
+            const hooks = WebPlugin.getHooks(compilation);
+            // pass to every hook,so hook can known which page is building
+            const pageInfo = { plugin: this, pageName: options.pageName, filename: options.filename };
+            hooks.beforeAssetInjection.promise(Object.assign({ htmlDocument, requires: options.requires.slice() }, pageInfo)).then(({ requires }) => {
+                htmlDocument.ensureRequires(requires, compilation);
+                const { preload, prefetch, preconnect } = Object.assign({}, options.resourceHints);
+                const outOptions = {
+                    integrity: options.integrity,
+                    crossorigin: options.crossorigin,
+                    // files output in this page, chunks shared by entrypoints only output once
+                    outputFiles: new Set(),
+                    isProduction,
+                    // resource hints generated by resources,will be inserted in head
+                    resourceHints: [],
+                    preload,
+                    prefetch,
+                    preconnect,
+                    moduleType: options.moduleType,
+                    singleFile: options.singleFile === true,
+                    inlineThreshold: options.inlineThreshold,
+                    inlineTest: options.inlineTest,
+                    // webpack output files inlined in this page
+                    inlinedFiles: new Set(),
+                };
+                // out scripts to html document
+                htmlDocument.scriptResources.forEach(scriptResource => {
+                    //noinspection JSUnresolvedVariable
+                    scriptResource.out(compilation, util.getPublicPath(compilation, options.filename), outOptions);
+                });
+                // webpack runtime load async chunks relative to html url,so they can't be load by html output in sub dir
                 //noinspection JSUnresolvedVariable
-                scriptResource.out(compilation, options.stylePublicPath || util.getPublicPath(compilation));
-            });
+                const { publicPath } = compiler.options.output;
+                if (path.dirname(options.filename) !== '.' && publicPath !== 'auto' && util.isRelativeUrl(publicPath || '') && options.singleFile !== true
+                    && htmlDocument.scriptResources.some(({ chunkName }) => chunkName && util.getChunkNameAsyncFiles(compilation, chunkName).length > 0)) {
+                    compilation.warnings.push(new Error(`WebPlugin ${options.filename} is output in sub dir with relative output.publicPath,async chunks can't be load by it,set an absolute output.publicPath like '/'`));
+                }
+                // out styles to html document
+                htmlDocument.stylesResources.forEach(scriptResource => {
+                    //noinspection JSUnresolvedVariable
+                    scriptResource.out(compilation, options.stylePublicPath || util.getPublicPath(compilation, options.filename), outOptions);
+                });
+
+                // wait for the other module type compiler,then output its scripts together with scripts of this compiler
+                let pairing = Promise.resolve({});
+                if (options.moduleType !== undefined) {
+                    this.differentialResult = {
+                        scripts: htmlDocument.scriptResources.map(scriptResource => ({
+                            chunkName: scriptResource.chunkName,
+                            nodes: scriptResource.chunkNodes,
+                        })),
+                        resourceHints: outOptions.resourceHints.slice(),
+                        htmlPath: path.resolve(compiler.outputPath, options.filename),
+                    };
+                    pairing = differential.pair(options.filename, options.moduleType, this.differentialResult);
+                }
+                return pairing.then(({ waited, result: pairResult = { scripts: [], resourceHints: [] } }) => {
+                    // html is still built,so manifest and files used by this page are recorded,but it will not be output
+                    pairOutput = waited && pairResult.htmlPath === this.differentialResult.htmlPath;
+                    htmlDocument.scriptResources.forEach((scriptResource, index) => {
+                        const pairScript = pairResult.scripts[index];
+                        if (pairScript && pairScript.chunkName === scriptResource.chunkName) {
+                            scriptResource.outPairNodes(pairScript.nodes, options.moduleType);
+                        }
+                    });
 
-            // get html document string
-            const htmlOut = htmlDocument.serialize();
-            // add it to webpack output files
-            util.addFileToWebpackOutput(compilation, options.filename, htmlOut);
-            callback();
+                    if (options.singleFile === true) {
+                        singleFile.inlineImages(compilation, htmlDocument, outOptions.inlinedFiles, options.filename);
+                    }
+                    ({ outputFiles, inlinedFiles } = outOptions);
+
+                    htmlDocument.insertResourceHints(outOptions.resourceHints.concat(pairResult.resourceHints));
+
+                    // inject live reload client in development watch mode unless it's disabled
+                    if (this.watchMode && options.liveReload !== false && !isProduction && htmlDocument.fileDependencies.length > 0) {
+                        htmlDocument.headNode.childNodes.push(liveReload.mockReloadClientNode(templateSnapshot, htmlDocument.headNode));
+                    }
+
+                    // other plugins can add remove or edit script and style tags
+                    const assetTags = hooksUtil.getAssetTags(htmlDocument);
+                    const originTags = { scripts: assetTags.scripts.slice(), styles: assetTags.styles.slice() };
+                    return hooks.alterAssetTags.promise(Object.assign({ htmlDocument, assetTags }, pageInfo)).then(data => {
+                        hooksUtil.applyAssetTags(htmlDocument, originTags, data.assetTags);
+                    });
+                });
+            }).then(() => {
+                if (typeof options.transform === 'function') {
+                    return htmlDocument.transform(options.transform, Object.assign(getTemplateData(compilation, options), {
+                        filename: options.filename,
+                    }));
+                }
+            }).then(() => hooks.afterDocumentBuilt.promise(Object.assign({ htmlDocument, document: htmlDocument.document }, pageInfo))).then(() => {
+                // minify before Content Security Policy as inline content will be changed
+                return htmlDocument.minify(options.minify !== undefined ? options.minify : isProduction);
+            }).then(() => {
+                // Content Security Policy should be computed after all inline scripts and styles are output
+                if (options.csp !== undefined) {
+                    const { directives, policy } = csp.getPolicy(htmlDocument, options.csp);
+                    if (options.csp.output === 'json') {
+                        // policy of paired html is output with it by the other compiler
+                        if (!pairOutput) {
+                            const cspFilename = `${options.filename.replace(/\.html?$/, '')}.csp.json`;
+                            util.addFileToWebpackOutput(compilation, cspFilename, JSON.stringify({ directives, policy }));
+                        }
+                    } else {
+                        // meta should be placed before any script and style,but after <meta charset>
+                        const { childNodes } = htmlDocument.headNode;
+                        const charsetIndex = childNodes.findIndex(node => node.nodeName === 'meta' && node.attrs.some(attr => attr.name === 'charset'));
+                        const metaNode = csp.mockPolicyMetaNode(policy, htmlDocument.headNode);
+                        childNodes.splice(charsetIndex + 1, 0, ...(htmlDocument.minified ? [metaNode] : [{
+                            nodeName: '#text',
+                            value: '\n',
+                            parentNode: htmlDocument.headNode
+                        }, metaNode]));
+                    }
+                }
+
+                if (options.manifest) {
+                    //noinspection JSUnresolvedVariable
+                    this.pageManifest = manifest.getPageManifest(htmlDocument, {
+                        filename: options.filename,
+                        publicPath: util.getPublicPath(compilation, options.filename),
+                        context: compiler.options.context || process.cwd(),
+                        integrity: options.integrity,
+                    });
+                    manifest.outputPageManifest(compilation, options.manifest, options.pageName, this.pageManifest);
+                }
+
+                // get html document string
+                const html = htmlDocument.serialize(options.pretty);
+                // add it to webpack output files,paired html is output by the other compiler
+                if (!pairOutput) {
+                    util.addFileToWebpackOutput(compilation, options.filename, html);
+                }
+                // every page should tell which files it load by url,so files inlined by other pages will not be removed
+                this.pageFiles = {
+                    inlinedFiles: options.singleFile === true || options.removeInlined === true ? inlinedFiles : new Set(),
+                    linkedFiles: removeInlined.getLinkedFiles(compilation, htmlDocument, {
+                        outputFiles,
+                        inlinedFiles,
+                        singleFile: options.singleFile === true,
+                        filename: options.filename,
+                    }),
+                };
+                removeInlined.updatePageFiles(compilation, options.filename, this.pageFiles);
+                return hooks.afterEmit.promise(Object.assign({ html }, pageInfo));
+            }).then(() => callback(), err => {
+                compilation.errors.push(err);
+                callback();
+            });
         });
     }
 }
@@ -0,0 +1,125 @@
+const url = require('url');
+const util = require('./util');
+
+/**
+ * default nonce placeholder,server should replace it with a random nonce for every response
+ * @type {string}
+ */
+const DefaultNoncePlaceholder = '__CSP_NONCE__';
+
+/**
+ * add source to directive if not exist
+ * @param directives {Object}
+ * @param name directive name,eg: script-src
+ * @param source,eg: 'sha256-xxx'
+ */
+function addSource(directives, name, source) {
+    const sources = directives[name] = directives[name] || [];
+    if (sources.indexOf(source) < 0) {
+        sources.push(source);
+    }
+}
+
+/**
+ * get source expression for a script src or style href load from other origin
+ * @param assetUrl,eg: https://cdn.com/jquery.js //cdn.com/jquery.js
+ * @returns {string|undefined} eg: https://cdn.com,undefined if url is relative
+ */
+function getUrlSource(assetUrl) {
+    const { protocol, host } = url.parse(assetUrl, false, true);
+    if (!host) {
+        return;
+    }
+    // protocol relative url has no scheme,host source match page's scheme
+    return protocol ? `${protocol}//${host}` : host;
+}
+
+/**
+ * serialize directives to Content Security Policy string
+ * @param directives {Object},eg: {'script-src':["'self'"]}
+ * @returns {string} eg: script-src 'self'
+ */
+function serializePolicy(directives) {
+    return Object.keys(directives).map(name => [name, ...directives[name]].join(' ')).join('; ');
+}
+
+/**
+ * compute Content Security Policy for all inline scripts and styles in html document
+ * type hash: add hash of every inline script and style content to policy
+ * type nonce: add nonce attr to every script and style,add nonce to policy
+ * origins of scripts and styles load from other origin are add to policy too,eg: https://cdn.com
+ * @param htmlDocument HTMLDocument
+ * @param options WebPlugin options.csp
+ * options.type {string}
+ *      hash or nonce,default is hash
+ * options.algorithm {string}
+ *      hash algorithm for type hash,one of sha256 sha384 sha512,default is sha256
+ * options.nonce {string}
+ *      nonce placeholder for type nonce,default is __CSP_NONCE__
+ * options.directives {Object}
+ *      base policy directives,default is {'script-src':["'self'"],'style-src':["'self'"]}
+ * @returns {{directives: Object, policy: string}}
+ */
+function getPolicy(htmlDocument, options = {}) {
+    const { type = 'hash', algorithm = 'sha256', nonce = DefaultNoncePlaceholder } = options;
+    const directives = {};
+    const baseDirectives = options.directives || {
+        'script-src': ["'self'"],
+        'style-src': ["'self'"],
+    };
+    Object.keys(baseDirectives).forEach(name => {
+        directives[name] = [].concat(baseDirectives[name]);
+    });
+    const { scripts, styles } = util.findScriptStyleNodes(htmlDocument.document);
+    const apply = (nodes, directiveName) => {
+        nodes.forEach(node => {
+            if (type === 'nonce') {
+                let nodeNonce = util.getAttr(node, 'nonce');
+                if (nodeNonce === undefined) {
+                    nodeNonce = nonce;
+                    node.attrs.push({ name: 'nonce', value: nonce });
+                }
+                addSource(directives, directiveName, `'nonce-${nodeNonce}'`);
+            } else {
+                const content = util.getInlineContent(node);
+                if (content !== undefined) {
+                    addSource(directives, directiveName, `'${util.getIntegrity(content, algorithm)}'`);
+                }
+            }
+            const assetUrl = util.getAttr(node, node.nodeName === 'link' ? 'href' : 'src');
+            const source = assetUrl !== undefined ? getUrlSource(assetUrl) : undefined;
+            if (source !== undefined) {
+                addSource(directives, directiveName, source);
+            }
+        });
+    };
+    apply(scripts, 'script-src');
+    apply(styles, 'style-src');
+    return {
+        directives,
+        policy: serializePolicy(directives),
+    };
+}
+
+/**
+ * mock a Content Security Policy meta node for parse5
+ * @param policy Content Security Policy string
+ * @param parentNode
+ * @returns {*}
+ */
+function mockPolicyMetaNode(policy, parentNode) {
+    return {
+        nodeName: 'meta',
+        tagName: 'meta',
+        parentNode,
+        attrs: [
+            { name: 'http-equiv', value: 'Content-Security-Policy' },
+            { name: 'content', value: policy },
+        ],
+    };
+}
+
+module.exports = {
+    getPolicy,
+    mockPolicyMetaNode,
+};
\ No newline at end of file
@@ -0,0 +1,137 @@
+const path = require('path');
+
+/**
+ * build state of module and nomodule compilers for every html file,used to output module and nomodule scripts in one html file
+ * state.result is script chunk nodes and resource hints output in current build,undefined if not output yet
+ * state.building is a promise resolved when current build output result or finished,undefined if compiler is idle
+ * @type {{filename:{module:{result,building,resolve},nomodule:{result,building,resolve}}}}
+ */
+const DifferentialPagesMap = {};
+
+/**
+ * get build state of a module type compiler for html file
+ * @param filename html output filename
+ * @param moduleType module or nomodule
+ * @returns {{result, building, resolve}}
+ */
+function getState(filename, moduleType) {
+    const states = DifferentialPagesMap[filename] = DifferentialPagesMap[filename] || {};
+    return states[moduleType] = states[moduleType] || {};
+}
+
+/**
+ * copy script node so the other compiler can change it without effect this compiler's html document
+ * @param node parse5 script node
+ * @returns {*}
+ */
+function cloneNode(node) {
+    const ret = Object.assign({}, node, {
+        attrs: node.attrs.map(attr => Object.assign({}, attr)),
+    });
+    if (node.childNodes) {
+        ret.childNodes = node.childNodes.map(childNode => Object.assign({}, childNode, { parentNode: ret }));
+    }
+    return ret;
+}
+
+/**
+ * resolve url relative to the other compiler's html file to url relative to this html file
+ * absolute url and url start with / will not be changed
+ * @param assetUrl
+ * @param fromDir dir of html file url is relative to
+ * @param toDir dir of html file url will be used in
+ * @returns {string}
+ */
+function rebaseUrl(assetUrl, fromDir, toDir) {
+    if (fromDir === toDir || /^([a-z][a-z\d+.-]*:|\/)/i.test(assetUrl)) {
+        return assetUrl;
+    }
+    return path.relative(toDir, path.resolve(fromDir, assetUrl)).split(path.sep).join('/');
+}
+
+/**
+ * clear result of last build when compiler start a new build,so stale result will not be used by the other compiler
+ * @param filename html output filename
+ * @param moduleType module or nomodule
+ */
+function startBuild(filename, moduleType) {
+    const state = getState(filename, moduleType);
+    state.result = undefined;
+    if (state.building === undefined) {
+        state.building = new Promise(resolve => state.resolve = resolve);
+    }
+}
+
+/**
+ * compiler finished,the other compiler waiting for this compiler will go on even if this compiler output nothing
+ * @param filename html output filename
+ * @param moduleType module or nomodule
+ */
+function finishBuild(filename, moduleType) {
+    const state = getState(filename, moduleType);
+    if (state.building !== undefined) {
+        state.building = undefined;
+        state.resolve();
+    }
+}
+
+/**
+ * output script chunk nodes and resource hints of this compiler,then wait for the other compiler if it's building
+ * @param filename html output filename
+ * @param moduleType module or nomodule
+ * @param result
+ * result.scripts {Array<{chunkName, nodes}>}
+ *      chunk nodes of every script resource in html document
+ * result.resourceHints {Array}
+ *      resource hints generated by resources
+ * result.htmlPath {string}
+ *      full path of html file in compiler's output path,urls in result are relative to it
+ * @returns {Promise<{result, waited: boolean}>} result of the other compiler,undefined if it output nothing,
+ * waited is true if the other compiler output result after this compiler
+ */
+function pair(filename, moduleType, result) {
+    const state = getState(filename, moduleType);
+    state.result = {
+        scripts: result.scripts.map(({ chunkName, nodes }) => ({ chunkName, nodes: nodes.map(cloneNode) })),
+        resourceHints: result.resourceHints.map(hint => Object.assign({}, hint)),
+        htmlPath: result.htmlPath,
+    };
+    const building = state.building;
+    state.building = undefined;
+    if (building !== undefined) {
+        state.resolve();
+    }
+    const pairState = getState(filename, moduleType === 'module' ? 'nomodule' : 'module');
+    const waited = pairState.building !== undefined;
+    return Promise.resolve(pairState.building).then(() => {
+        const pairResult = pairState.result;
+        if (pairResult === undefined) {
+            return { waited };
+        }
+        const fromDir = path.dirname(pairResult.htmlPath);
+        const toDir = path.dirname(result.htmlPath);
+        return {
+            waited,
+            result: {
+                scripts: pairResult.scripts.map(({ chunkName, nodes }) => ({
+                    chunkName,
+                    nodes: nodes.map(node => {
+                        node = cloneNode(node);
+                        node.attrs.filter(attr => attr.name === 'src').forEach(attr => attr.value = rebaseUrl(attr.value, fromDir, toDir));
+                        return node;
+                    }),
+                })),
+                resourceHints: pairResult.resourceHints.map(hint => Object.assign({}, hint, {
+                    href: rebaseUrl(hint.href, fromDir, toDir),
+                })),
+                htmlPath: pairResult.htmlPath,
+            },
+        };
+    });
+}
+
+module.exports = {
+    startBuild,
+    finishBuild,
+    pair,
+};
\ No newline at end of file
@@ -0,0 +1,446 @@
+const parse5 = require('parse5');
+const util = require('./util');
+
+/**
+ * parse compound selector like div#app.main[data-x="1"]
+ * @type {RegExp}
+ */
+const CompoundPartReg = /#([\w-]+)|\.([\w-]+)|\[\s*([^\s~|^$*=\]]+)\s*(?:([~|^$*]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]*)))?\s*\]/g;
+
+/**
+ * split selector list by top level comma,comma in attr value quotes or brackets will be keep
+ * @param selector {string} eg: a[title="x,y"], b
+ * @returns {Array<string>} eg: ['a[title="x,y"]', ' b']
+ */
+function splitSelectorList(selector) {
+    const list = [];
+    let start = 0;
+    let quote;
+    let depth = 0;
+    for (let i = 0; i < selector.length; i++) {
+        const char = selector[i];
+        if (quote !== undefined) {
+            if (char === '\\') {
+                i++;
+            } else if (char === quote) {
+                quote = undefined;
+            }
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '[' || char === '(') {
+            depth++;
+        } else if (char === ']' || char === ')') {
+            depth--;
+        } else if (char === ',' && depth === 0) {
+            list.push(selector.slice(start, i));
+            start = i + 1;
+        }
+    }
+    list.push(selector.slice(start));
+    return list;
+}
+
+/**
+ * parse css selector,support tag #id .class [attr] [attr=value] [attr~=value] [attr^=value] [attr$=value] [attr*=value] [attr|=value]
+ * and descendant combinator,child combinator >,selector list split by ,
+ * @param selector {string} eg: head > meta[name="viewport"], body .app
+ * @returns {Array<Array<{combinator: string, tagName: string, id: string, classes: Array, attrs: Array}>>}
+ */
+function parseSelector(selector) {
+    return splitSelectorList(selector).map(complexSelector => {
+        const compounds = [];
+        // attr value in quotes can contain ]
+        const reg = /\s*(>)?\s*([a-zA-Z][\w-]*|\*)?((?:#[\w-]+|\.[\w-]+|\[(?:"[^"]*"|'[^']*'|[^\]"'])+\])*)/y;
+        complexSelector = complexSelector.trim();
+        while (reg.lastIndex < complexSelector.length) {
+            const startIndex = reg.lastIndex;
+            const [, combinator, tagName, rest] = reg.exec(complexSelector) || [];
+            if (reg.lastIndex === startIndex || (!tagName && !rest)) {
+                throw new Error(`WebPlugin transform unsupported selector ${selector}`);
+            }
+            const compound = {
+                combinator: compounds.length === 0 ? undefined : (combinator || ' '),
+                tagName: tagName && tagName !== '*' ? tagName.toLowerCase() : undefined,
+                classes: [],
+                attrs: [],
+            };
+            let match;
+            CompoundPartReg.lastIndex = 0;
+            while ((match = CompoundPartReg.exec(rest || '')) !== null) {
+                if (match[1] !== undefined) {
+                    compound.id = match[1];
+                } else if (match[2] !== undefined) {
+                    compound.classes.push(match[2]);
+                } else {
+                    const value = [match[5], match[6], match[7]].find(value => value !== undefined);
+                    compound.attrs.push({ name: match[3].toLowerCase(), operator: match[4], value });
+                }
+            }
+            compounds.push(compound);
+        }
+        return compounds;
+    });
+}
+
+/**
+ * whether attr value match selector's attr operator
+ * @param actual attr value in node
+ * @param operator one of = ~= |= ^= $= *=,undefined means only require attr exist
+ * @param value attr value in selector
+ * @returns {boolean}
+ */
+function matchAttrValue(actual, operator, value) {
+    if (actual === undefined) {
+        return false;
+    }
+    switch (operator) {
+        case undefined:
+            return true;
+        case '=':
+            return actual === value;
+        case '~=':
+            return actual.split(/\s+/).indexOf(value) >= 0;
+        case '|=':
+            return actual === value || actual.startsWith(`${value}-`);
+        case '^=':
+            return value.length > 0 && actual.startsWith(value);
+        case '$=':
+            return value.length > 0 && actual.endsWith(value);
+        case '*=':
+            return value.length > 0 && actual.indexOf(value) >= 0;
+    }
+    return false;
+}
+
+/**
+ * whether a element node match compound selector
+ * @param node parse5 element node
+ * @param compound
+ * @returns {boolean}
+ */
+function matchCompound(node, compound) {
+    if (!node.attrs) {
+        return false;
+    }
+    const { tagName, id, classes, attrs } = compound;
+    if (tagName !== undefined && node.nodeName !== tagName) {
+        return false;
+    }
+    if (id !== undefined && util.getAttr(node, 'id') !== id) {
+        return false;
+    }
+    const nodeClasses = (util.getAttr(node, 'class') || '').split(/\s+/);
+    if (classes.some(className => nodeClasses.indexOf(className) < 0)) {
+        return false;
+    }
+    return attrs.every(({ name, operator, value }) => matchAttrValue(util.getAttr(node, name), operator, value));
+}
+
+/**
+ * whether a element node match complex selector,match from right to left
+ * @param node parse5 element node
+ * @param compounds complex selector,see parseSelector
+ * @param index index of compound to match node
+ * @returns {boolean}
+ */
+function matchComplex(node, compounds, index = compounds.length - 1) {
+    const compound = compounds[index];
+    if (!matchCompound(node, compound)) {
+        return false;
+    }
+    if (index === 0) {
+        return true;
+    }
+    let parentNode = node.parentNode;
+    if (compound.combinator === '>') {
+        return !!parentNode && matchComplex(parentNode, compounds, index - 1);
+    }
+    while (parentNode) {
+        if (matchComplex(parentNode, compounds, index - 1)) {
+            return true;
+        }
+        parentNode = parentNode.parentNode;
+    }
+    return false;
+}
+
+/**
+ * find out all descendant element nodes match selector in document order
+ * @param node parse5 node
+ * @param selector {string}
+ * @param findOne {boolean} stop when find out first one
+ * @returns {Array}
+ */
+function querySelectorAll(node, selector, findOne) {
+    const selectors = parseSelector(selector);
+    const ret = [];
+    const walk = (parentNode) => {
+        for (const childNode of parentNode.childNodes || []) {
+            if (findOne && ret.length > 0) {
+                return;
+            }
+            if (childNode.attrs && selectors.some(compounds => matchComplex(childNode, compounds))) {
+                ret.push(childNode);
+            }
+            walk(childNode);
+        }
+    };
+    walk(node);
+    return ret;
+}
+
+/**
+ * remove node from its parent
+ * @param node parse5 node
+ */
+function detachNode(node) {
+    if (node.parentNode && node.parentNode.childNodes) {
+        const { childNodes } = node.parentNode;
+        const index = childNodes.indexOf(node);
+        if (index >= 0) {
+            childNodes.splice(index, 1);
+        }
+    }
+    node.parentNode = null;
+}
+
+/**
+ * convert html string or DOMElement to parse5 nodes
+ * @param contents {Array<string|DOMElement>}
+ * @param contextNode html string will be parsed in this element,eg: <tr> should be parsed in <table>
+ * @returns {Array}
+ */
+function toNodes(contents, contextNode) {
+    const nodes = [];
+    contents.forEach(content => {
+        if (content instanceof DOMElement) {
+            detachNode(content.node);
+            nodes.push(content.node);
+        } else {
+            const fragment = contextNode && contextNode.nodeName !== '#document' ? parse5.parseFragment(contextNode, String(content)) : parse5.parseFragment(String(content));
+            nodes.push(...fragment.childNodes);
+        }
+    });
+    return nodes;
+}
+
+/**
+ * insert nodes to parent node's child nodes at index
+ * @param parentNode
+ * @param index
+ * @param nodes
+ */
+function insertNodes(parentNode, index, nodes) {
+    nodes.forEach(node => node.parentNode = parentNode);
+    parentNode.childNodes.splice(index, 0, ...nodes);
+}
+
+/**
+ * wrap parse5 node with a small DOM like API for WebPlugin options.transform
+ */
+class DOMElement {
+
+    /**
+     * @param node parse5 node
+     */
+    constructor(node) {
+        /**
+         * parse5 node,can be used to do anything this API not support
+         */
+        this.node = node;
+    }
+
+    /**
+     * lowercase tag name,eg: div
+     * @returns {string}
+     */
+    get tagName() {
+        return this.node.tagName;
+    }
+
+    /**
+     * parent element,null if it's root or has been removed
+     * @returns {DOMElement|null}
+     */
+    get parent() {
+        const { parentNode } = this.node;
+        return parentNode ? new DOMElement(parentNode) : null;
+    }
+
+    /**
+     * get all text in this element
+     * @returns {string}
+     */
+    get textContent() {
+        const getText = node => node.nodeName === '#text' ? node.value : (node.childNodes || []).map(getText).join('');
+        return getText(this.node);
+    }
+
+    /**
+     * replace all children with a text node
+     * @param text {string}
+     */
+    set textContent(text) {
+        this.node.childNodes = [{
+            nodeName: '#text',
+            value: String(text),
+            parentNode: this.node,
+        }];
+    }
+
+    /**
+     * get html string of children
+     * @returns {string}
+     */
+    get innerHTML() {
+        return parse5.serialize(this.node);
+    }
+
+    /**
+     * replace all children with html
+     * @param html {string}
+     */
+    set innerHTML(html) {
+        this.node.childNodes = [];
+        this.append(html);
+    }
+
+    getAttribute(name) {
+        return util.getAttr(this.node, name);
+    }
+
+    hasAttribute(name) {
+        return util.getAttr(this.node, name) !== undefined;
+    }
+
+    /**
+     * set attr value,add attr if not exist
+     * @param name
+     * @param value {string|boolean} true means boolean attr like async
+     * @returns {DOMElement} this for chain call
+     */
+    setAttribute(name, value) {
+        value = value === true ? '' : String(value);
+        const attr = this.node.attrs.find(attr => attr.name === name);
+        if (attr) {
+            attr.value = value;
+        } else {
+            this.node.attrs.push({ name, value });
+        }
+        return this;
+    }
+
+    removeAttribute(name) {
+        this.node.attrs = this.node.attrs.filter(attr => attr.name !== name);
+        return this;
+    }
+
+    /**
+     * get first descendant element match selector
+     * @param selector {string} see parseSelector
+     * @returns {DOMElement|null}
+     */
+    querySelector(selector) {
+        const node = querySelectorAll(this.node, selector, true)[0];
+        return node ? new DOMElement(node) : null;
+    }
+
+    /**
+     * get all descendant elements match selector in document order
+     * @param selector {string} see parseSelector
+     * @returns {Array<DOMElement>}
+     */
+    querySelectorAll(selector) {
+        return querySelectorAll(this.node, selector, false).map(node => new DOMElement(node));
+    }
+
+    /**
+     * add html strings or elements at the end of children
+     * @param contents {string|DOMElement}
+     * @returns {DOMElement} this for chain call
+     */
+    append(...contents) {
+        insertNodes(this.node, this.node.childNodes.length, toNodes(contents, this.node));
+        return this;
+    }
+
+    /**
+     * add html strings or elements at the start of children
+     * @param contents {string|DOMElement}
+     * @returns {DOMElement} this for chain call
+     */
+    prepend(...contents) {
+        insertNodes(this.node, 0, toNodes(contents, this.node));
+        return this;
+    }
+
+    /**
+     * remove this element from document
+     */
+    remove() {
+        detachNode(this.node);
+    }
+
+    /**
+     * insert html at position like DOM insertAdjacentHTML
+     * @param position {string} one of beforebegin afterbegin beforeend afterend
+     * @param html {string}
+     * @returns {DOMElement} this for chain call
+     */
+    insertHTML(position, html) {
+        const { node } = this;
+        const { parentNode } = node;
+        if (position === 'afterbegin') {
+            return this.prepend(html);
+        } else if (position === 'beforeend') {
+            return this.append(html);
+        } else if ((position === 'beforebegin' || position === 'afterend') && parentNode) {
+            const index = parentNode.childNodes.indexOf(node);
+            insertNodes(parentNode, position === 'beforebegin' ? index : index + 1, toNodes([html], parentNode));
+            return this;
+        }
+        throw new Error(`WebPlugin transform insertHTML position should be one of beforebegin,afterbegin,beforeend,afterend, but got ${position}`);
+    }
+}
+
+/**
+ * wrap parse5 document with DOM like API
+ */
+class DOMDocument extends DOMElement {
+
+    get documentElement() {
+        return this.querySelector('html');
+    }
+
+    get head() {
+        return this.querySelector('head');
+    }
+
+    get body() {
+        return this.querySelector('body');
+    }
+
+    /**
+     * create a element not in document,use append prepend to add it to document
+     * @param tagName {string}
+     * @param attrs {Object} eg: {src:'/a.js',async:true}
+     * @returns {DOMElement}
+     */
+    createElement(tagName, attrs = {}) {
+        const element = new DOMElement({
+            nodeName: tagName,
+            tagName,
+            attrs: [],
+            childNodes: [],
+            parentNode: null,
+        });
+        Object.keys(attrs).forEach(name => element.setAttribute(name, attrs[name]));
+        return element;
+    }
+}
+
+module.exports = {
+    parseSelector,
+    DOMElement,
+    DOMDocument,
+};
\ No newline at end of file
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * whether a string is a glob pattern
+ * @param pattern
+ * @returns {boolean}
+ */
+function isGlob(pattern) {
+    return typeof pattern === 'string' && /[*?[\]{}]/.test(pattern);
+}
+
+/**
+ * convert path to posix style,glob pattern always use / as separator
+ * @param filePath
+ * @returns {string}
+ */
+function toPosixPath(filePath) {
+    return filePath.split(path.sep).join('/');
+}
+
+/**
+ * convert glob pattern to RegExp,support:
+ * ** match any dirs,* match any chars except /,? match one char except /
+ * {a,b} match a or b,[abc] match one char in abc
+ * @param pattern glob pattern,eg: src/pages/**\/index.js
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+    let reg = '';
+    let inGroup = false;
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*') {
+            if (pattern[i + 1] === '*') {
+                if (pattern[i + 2] === '/') {
+                    // **/ match zero or more dirs
+                    reg += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    reg += '.*';
+                    i += 1;
+                }
+            } else {
+                reg += '[^/]*';
+            }
+        } else if (char === '?') {
+            reg += '[^/]';
+        } else if (char === '{') {
+            inGroup = true;
+            reg += '(?:';
+        } else if (char === '}' && inGroup) {
+            inGroup = false;
+            reg += ')';
+        } else if (char === ',' && inGroup) {
+            reg += '|';
+        } else if (char === '[') {
+            const end = pattern.indexOf(']', i + 1);
+            if (end > i) {
+                reg += `[${pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+                i = end;
+            } else {
+                reg += '\\[';
+            }
+        } else {
+            reg += char.replace(/[.+^$()|\\\]]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${reg}$`);
+}
+
+/**
+ * get dir before first glob segment,files under it will be walk
+ * @param pattern glob pattern,eg: src/pages/**\/index.js => src/pages
+ * @returns {string}
+ */
+function getGlobBase(pattern) {
+    const segments = toPosixPath(pattern).split('/');
+    const index = segments.findIndex(segment => isGlob(segment));
+    return index < 0 ? pattern : segments.slice(0, index).join('/') || '.';
+}
+
+/**
+ * find out all files and dirs match glob pattern,dirs in node_modules and start with . will not be walk
+ * @param pattern glob pattern,relative pattern is relative to process.cwd()
+ * @returns {Array} full path of files and dirs match pattern
+ */
+function globSync(pattern) {
+    const fullPattern = toPosixPath(path.resolve(pattern));
+    const reg = globToRegExp(fullPattern);
+    const ret = [];
+    const walk = (dir) => {
+        let fileNames;
+        try {
+            fileNames = fs.readdirSync(dir);
+        } catch (_) {
+            return;
+        }
+        fileNames.forEach(fileName => {
+            const filePath = path.resolve(dir, fileName);
+            if (reg.test(toPosixPath(filePath))) {
+                ret.push(filePath);
+            }
+            if (fileName !== 'node_modules' && !fileName.startsWith('.') && fs.lstatSync(filePath).isDirectory()) {
+                walk(filePath);
+            }
+        });
+    };
+    walk(path.resolve(getGlobBase(pattern)));
+    return ret.sort();
+}
+
+module.exports = {
+    isGlob,
+    toPosixPath,
+    globToRegExp,
+    getGlobBase,
+    globSync,
+};
\ No newline at end of file
@@ -0,0 +1,163 @@
+const { AsyncSeriesWaterfallHook, AsyncSeriesHook } = require('tapable');
+const util = require('./util');
+
+/**
+ * WebPlugin hooks for every compilation,all WebPlugin in a compilation share same hooks
+ * @type {WeakMap<compilation,Object>}
+ */
+const CompilationHooksMap = new WeakMap();
+
+/**
+ * get WebPlugin hooks for a compilation,other plugins can tap them to modify generated html
+ * every hook's data contains plugin pageName filename
+ * beforeAssetInjection {AsyncSeriesWaterfallHook}
+ *      data {htmlDocument,requires} before required resources are injected,requires can be changed
+ * alterAssetTags {AsyncSeriesWaterfallHook}
+ *      data {htmlDocument,assetTags:{scripts,styles}} after resources are injected,tags can be add remove or edit,see getAssetTags
+ * afterDocumentBuilt {AsyncSeriesWaterfallHook}
+ *      data {htmlDocument,document} parse5 document before minify and Content Security Policy
+ * afterEmit {AsyncSeriesHook}
+ *      data {html} final html string after it has been add to webpack output
+ * @param compilation webpack compilation
+ * @returns {{beforeAssetInjection, alterAssetTags, afterDocumentBuilt, afterEmit}}
+ */
+function getHooks(compilation) {
+    let hooks = CompilationHooksMap.get(compilation);
+    if (hooks === undefined) {
+        hooks = {
+            beforeAssetInjection: new AsyncSeriesWaterfallHook(['data']),
+            alterAssetTags: new AsyncSeriesWaterfallHook(['data']),
+            afterDocumentBuilt: new AsyncSeriesWaterfallHook(['data']),
+            afterEmit: new AsyncSeriesHook(['data']),
+        };
+        CompilationHooksMap.set(compilation, hooks);
+    }
+    return hooks;
+}
+
+/**
+ * get tag descriptor for a script or style node
+ * @param node parse5 node
+ * @returns {{tagName: string, attrs: Object, content: string, node: *}}
+ */
+function getTagDescriptor(node) {
+    const attrs = {};
+    node.attrs.forEach(attr => attrs[attr.name] = attr.value);
+    return {
+        tagName: node.nodeName,
+        attrs,
+        content: util.getInlineContent(node),
+        node,
+    };
+}
+
+/**
+ * get all script and style tag descriptors in html document order
+ * tag descriptor is {tagName,attrs,content,node},eg: {tagName:'script',attrs:{src:'/a.js'},content:undefined,node}
+ * @param htmlDocument HTMLDocument
+ * @returns {{scripts: Array, styles: Array}}
+ */
+function getAssetTags(htmlDocument) {
+    const { scripts, styles } = util.findScriptStyleNodes(htmlDocument.document);
+    return {
+        scripts: scripts.map(getTagDescriptor),
+        styles: styles.map(getTagDescriptor),
+    };
+}
+
+/**
+ * mock a parse5 node for tag descriptor
+ * @param tag {{tagName: string, attrs: Object, content: string}}
+ * @param parentNode
+ * @returns {*}
+ */
+function mockTagNode(tag, parentNode) {
+    const node = {
+        nodeName: tag.tagName,
+        tagName: tag.tagName,
+        parentNode,
+        childNodes: [],
+    };
+    updateTagNode(node, tag);
+    return node;
+}
+
+/**
+ * update parse5 node's attrs and content by tag descriptor
+ * attr with value false null or undefined is removed,true means boolean attr like async
+ * @param node
+ * @param tag {{attrs: Object, content: string}}
+ */
+function updateTagNode(node, tag) {
+    const attrs = tag.attrs || {};
+    node.attrs = Object.keys(attrs).filter(name => attrs[name] !== false && attrs[name] !== null && attrs[name] !== undefined)
+        .map(name => ({ name, value: attrs[name] === true ? '' : String(attrs[name]) }));
+    if (typeof tag.content === 'string') {
+        node.childNodes = [{
+            nodeName: '#text',
+            value: tag.content,
+            parentNode: node,
+        }];
+    }
+}
+
+/**
+ * insert node before or after a node in its parent
+ * @param node node to insert
+ * @param refNode
+ * @param after {boolean} insert after refNode if true else before refNode
+ */
+function insertNode(node, refNode, after) {
+    const { childNodes } = refNode.parentNode;
+    node.parentNode = refNode.parentNode;
+    childNodes.splice(childNodes.indexOf(refNode) + (after ? 1 : 0), 0, node);
+}
+
+/**
+ * apply tag descriptors altered by hooks to html document
+ * tag removed from list will be removed from html document,tag without node will be add after previous tag in list
+ * order of tags already in html document will not be changed
+ * @param htmlDocument HTMLDocument
+ * @param originTags tags before altered,see getAssetTags
+ * @param assetTags {{scripts: Array, styles: Array}} tags after altered
+ */
+function applyAssetTags(htmlDocument, originTags, assetTags) {
+    const keepNodes = new Set();
+    const apply = (tags, defaultParentNode) => {
+        tags.forEach((tag, index) => {
+            if (tag.node !== undefined) {
+                updateTagNode(tag.node, tag);
+                keepNodes.add(tag.node);
+                return;
+            }
+            tag.node = mockTagNode(tag, defaultParentNode);
+            keepNodes.add(tag.node);
+            const preTag = tags[index - 1];
+            const nextTag = tags.slice(index + 1).find(tag => tag.node !== undefined);
+            if (preTag !== undefined) {
+                insertNode(tag.node, preTag.node, true);
+            } else if (nextTag !== undefined) {
+                insertNode(tag.node, nextTag.node, false);
+            } else {
+                defaultParentNode.childNodes.push(tag.node);
+            }
+        });
+    };
+    apply(assetTags.scripts || [], htmlDocument.bodyNode);
+    apply(assetTags.styles || [], htmlDocument.headNode);
+    originTags.scripts.concat(originTags.styles).forEach(({ node }) => {
+        if (!keepNodes.has(node)) {
+            const { childNodes } = node.parentNode;
+            const index = childNodes.indexOf(node);
+            if (index >= 0) {
+                childNodes.splice(index, 1);
+            }
+        }
+    });
+}
+
+module.exports = {
+    getHooks,
+    getAssetTags,
+    applyAssetTags,
+};
\ No newline at end of file
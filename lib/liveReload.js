@@ -0,0 +1,59 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const util = require('./util');
+
+/**
+ * get a snapshot string for html template files,snapshot will change when any file changed
+ * @param fileDependencies {Array} full path of template files
+ * @returns {string}
+ */
+function getTemplateSnapshot(fileDependencies) {
+    return fileDependencies.map(filePath => {
+        try {
+            return `${filePath}:${fs.statSync(filePath).mtime.getTime()}`;
+        } catch (_) {
+            return filePath;
+        }
+    }).join('|');
+}
+
+/**
+ * mock a inline script node to reload page when html template changed
+ * webpack-dev-server client post webpackHotUpdate message to window after every rebuild,
+ * then this script fetch current page and reload it if template hash in new page is different
+ * @param templateSnapshot snapshot of this page's template,see getTemplateSnapshot
+ * @param parentNode
+ * @returns {*}
+ */
+function mockReloadClientNode(templateSnapshot, parentNode) {
+    const templateHash = crypto.createHash('md5').update(templateSnapshot).digest('hex').substr(0, 20);
+    const content = `
+(function () {
+    var templateHash = '__WEB_WEBPACK_PLUGIN_TEMPLATE_HASH__${templateHash}';
+    window.addEventListener('message', function (event) {
+        if (typeof event.data !== 'string' || event.data.indexOf('webpackHotUpdate') !== 0) {
+            return;
+        }
+        var xhr = new XMLHttpRequest();
+        xhr.open('GET', window.location.href, true);
+        xhr.setRequestHeader('Cache-Control', 'no-cache');
+        xhr.onload = function () {
+            var match = /__WEB_WEBPACK_PLUGIN_TEMPLATE_HASH__\\w+/.exec(xhr.responseText);
+            if (match && match[0] !== templateHash) {
+                window.location.reload();
+            }
+        };
+        xhr.send();
+    });
+})();
+`;
+    return util.mockScriptNode({
+        content,
+        parentNode,
+    });
+}
+
+module.exports = {
+    getTemplateSnapshot,
+    mockReloadClientNode,
+};
\ No newline at end of file
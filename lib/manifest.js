@@ -0,0 +1,108 @@
+const path = require('path');
+const url = require('url');
+const util = require('./util');
+
+/**
+ * default manifest output filename
+ * @type {string}
+ */
+const DefaultManifestFilename = 'manifest.json';
+
+/**
+ * pages has been add to manifest files in a compilation,all WebPlugin in a compiler output to same manifest file
+ * @type {WeakMap<compilation,{manifestFilename:Object}>}
+ */
+const CompilationManifestMap = new WeakMap();
+
+/**
+ * normalize WebPlugin options.manifest
+ * @param manifest {boolean|string|Object}
+ * @returns {{filename: string, serialize: function}}
+ */
+function normalizeOptions(manifest) {
+    if (typeof manifest === 'string') {
+        manifest = { filename: manifest };
+    } else if (typeof manifest !== 'object' || manifest === null) {
+        manifest = {};
+    }
+    return {
+        filename: manifest.filename || DefaultManifestFilename,
+        serialize: typeof manifest.serialize === 'function' ? manifest.serialize : JSON.stringify,
+    };
+}
+
+/**
+ * get manifest info for a script or style node in output html
+ * inline content is not included,file is webpack output file inlined and integrity is hash of inline content
+ * @param node parse5 node
+ * @param resource Resource output this node
+ * @param integrity {string} hash algorithm for inline content
+ * @returns {{chunkName: string, url: string, inline: boolean, file: string, integrity: string}}
+ */
+function getNodeManifest(node, resource, integrity) {
+    const content = util.getInlineContent(node);
+    const inline = content !== undefined;
+    return {
+        chunkName: resource ? resource.chunkName : undefined,
+        url: inline ? undefined : util.getAttr(node, node.nodeName === 'link' ? 'href' : 'src'),
+        inline,
+        file: inline ? node.inlinedFile : undefined,
+        integrity: inline ? util.getIntegrity(content, integrity) : util.getAttr(node, 'integrity'),
+    };
+}
+
+/**
+ * get manifest for a page,scripts and styles are in html document order
+ * @param htmlDocument HTMLDocument after all resources are output
+ * @param options
+ * options.filename {string}
+ *      output html filename
+ * options.publicPath {string}
+ *      webpack publicPath
+ * options.context {string}
+ *      template path in manifest is relative to context
+ * options.integrity {string}
+ *      hash algorithm for inline content,default is sha256
+ * @returns {{filename: string, url: string, template: string, scripts: Array, styles: Array}}
+ */
+function getPageManifest(htmlDocument, options) {
+    const { filename, publicPath, context, integrity = 'sha256' } = options;
+    // find out which resource output a node
+    const nodeResourceMap = new Map();
+    htmlDocument.scriptResources.concat(htmlDocument.stylesResources).forEach(resource => {
+        resource.outputNodes.forEach(node => nodeResourceMap.set(node, resource));
+    });
+    const { scripts, styles } = util.findScriptStyleNodes(htmlDocument.document);
+    const { htmlTemplateFilePath } = htmlDocument;
+    return {
+        filename,
+        url: url.resolve(publicPath, filename),
+        template: typeof htmlTemplateFilePath === 'string' ? path.relative(context, htmlTemplateFilePath) : undefined,
+        scripts: scripts.map(node => getNodeManifest(node, nodeResourceMap.get(node), integrity)),
+        styles: styles.map(node => getNodeManifest(node, nodeResourceMap.get(node), integrity)),
+    };
+}
+
+/**
+ * add a page to manifest file and output it,pages output by other WebPlugin in same compilation will be keep
+ * @param compilation webpack compilation
+ * @param manifestOptions WebPlugin options.manifest
+ * @param pageName
+ * @param pageManifest see getPageManifest
+ */
+function outputPageManifest(compilation, manifestOptions, pageName, pageManifest) {
+    const { filename, serialize } = normalizeOptions(manifestOptions);
+    let manifestFiles = CompilationManifestMap.get(compilation);
+    if (manifestFiles === undefined) {
+        manifestFiles = {};
+        CompilationManifestMap.set(compilation, manifestFiles);
+    }
+    const manifest = manifestFiles[filename] = manifestFiles[filename] || {};
+    manifest[pageName] = pageManifest;
+    util.addFileToWebpackOutput(compilation, filename, serialize(manifest));
+}
+
+module.exports = {
+    getPageManifest,
+    outputPageManifest,
+};
\ No newline at end of file
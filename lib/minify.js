@@ -0,0 +1,273 @@
+const util = require('./util');
+
+/**
+ * default minify options,used when WebPlugin options.minify is true
+ * @type {Object}
+ */
+const DefaultMinifyOptions = {
+    collapseWhitespace: true,
+    removeComments: true,
+    removeRedundantAttributes: true,
+    minifyJS: true,
+    minifyCSS: true,
+};
+
+/**
+ * whitespace in these elements will be keep
+ * @type {Array<string>}
+ */
+const WhitespaceSensitiveTags = ['pre', 'textarea', 'script', 'style', 'plaintext', 'xmp'];
+
+/**
+ * block level elements,whitespace around them will not be render
+ * @type {Array<string>}
+ */
+const BlockTags = [
+    '#document', '#document-fragment', 'html', 'head', 'body', 'title', 'meta', 'link', 'base',
+    'address', 'article', 'aside', 'blockquote', 'details', 'dialog', 'summary', 'div', 'dl', 'dd', 'dt',
+    'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup',
+    'hr', 'li', 'main', 'nav', 'ol', 'ul', 'p', 'section', 'table', 'caption', 'colgroup', 'col',
+    'thead', 'tbody', 'tfoot', 'tr', 'td', 'th', 'option', 'optgroup',
+];
+
+/**
+ * whitespace text in these elements will not be render
+ * @type {Array<string>}
+ */
+const NonRenderTags = ['#document', 'html', 'head'];
+
+/**
+ * attrs with these default value can be removed,eg: <script type="text/javascript">
+ * @type {{tagName:{attrName:RegExp}}}
+ */
+const RedundantAttrs = {
+    script: { type: /^(text|application)\/javascript$/i, language: /^javascript$/i },
+    style: { type: /^text\/css$/i },
+    link: { type: /^text\/css$/i },
+    form: { method: /^get$/i },
+    input: { type: /^text$/i },
+};
+
+/**
+ * script type which content is javascript
+ * @type {RegExp}
+ */
+const JSScriptType = /^((text|application)\/javascript|module)$/i;
+
+/**
+ * script type which content is json,eg: <script type="application/ld+json">
+ * @type {RegExp}
+ */
+const JSONScriptType = /^(application\/(ld\+)?json|importmap)$/i;
+
+/**
+ * normalize WebPlugin options.minify
+ * @param minify {boolean|Object}
+ * @returns {Object|undefined} undefined means not minify
+ */
+function normalizeOptions(minify) {
+    if (minify === true) {
+        return Object.assign({}, DefaultMinifyOptions);
+    }
+    if (typeof minify === 'object' && minify !== null) {
+        return Object.assign({}, DefaultMinifyOptions, minify);
+    }
+}
+
+/**
+ * get javascript minify function by uglify-js or terser,uglify-js is installed with webpack 2 3 and terser with webpack 4 5
+ * @returns {function|undefined} (code)=>Promise<code>,undefined if both uglify-js and terser are not installed
+ */
+function getJSMinify() {
+    let minify;
+    try {
+        const uglify = require('uglify-js');
+        // uglify-js 2.x need fromString option
+        const isV2 = parseInt(require('uglify-js/package.json').version, 10) < 3;
+        minify = code => isV2 ? uglify.minify(code, { fromString: true }) : uglify.minify(code);
+    } catch (_) {
+        try {
+            // terser 5.x minify return a promise,4.x return result directly
+            minify = require('terser').minify;
+        } catch (_) {
+            return;
+        }
+    }
+    return (code) => Promise.resolve(minify(code)).then(result => {
+        if (result.error) {
+            throw result.error;
+        }
+        if (typeof result.code !== 'string') {
+            throw new Error('minify inline script failed, minifier output no code');
+        }
+        return result.code;
+    });
+}
+
+/**
+ * minify css,keep strings and license comments start with /*!
+ * @param css {string}
+ * @returns {string}
+ */
+function minifyCSS(css) {
+    return css.split(/("(?:\\[\s\S]|[^"\\])*"|'(?:\\[\s\S]|[^'\\])*'|\/\*[\s\S]*?\*\/)/).map((token, index) => {
+        // odd index is string or comment
+        if (index % 2 === 1) {
+            return token.startsWith('/*') && !token.startsWith('/*!') ? '' : token;
+        }
+        return token
+            .replace(/\s+/g, ' ')
+            .replace(/\s*([{};,>])\s*/g, '$1')
+            .replace(/:\s+/g, ':')
+            .replace(/;}/g, '}');
+    }).join('').trim();
+}
+
+/**
+ * get a minify function for content,user function is prior to built in one
+ * @param option minify option,eg: options.minifyJS
+ * @param builtIn built in minify function
+ * @returns {function|undefined}
+ */
+function getContentMinify(option, builtIn) {
+    if (typeof option === 'function') {
+        return option;
+    }
+    return option === true ? builtIn : undefined;
+}
+
+/**
+ * whether a node is block level,null means parent's start or end
+ * @param node
+ * @param parentNode
+ * @returns {boolean}
+ */
+function isBlockBoundary(node, parentNode) {
+    return BlockTags.indexOf((node || parentNode).nodeName) >= 0;
+}
+
+/**
+ * minify inline script or style content in place
+ * @param node script or style node
+ * @param minifyJS {function|undefined}
+ * @param minifyCSS {function|undefined}
+ * @returns {Promise|undefined} resolved after content is replaced,undefined if content will not be minify
+ */
+function minifyContent(node, minifyJS, minifyCSS) {
+    const textNode = node.childNodes && node.childNodes[0];
+    if (!textNode || textNode.nodeName !== '#text' || node.childNodes.length > 1) {
+        return;
+    }
+    // script or style inlined from webpack output has been minified by webpack or its loaders
+    if (node.inlinedAsset === true) {
+        return;
+    }
+    let minify;
+    if (node.nodeName === 'style') {
+        minify = minifyCSS;
+    } else {
+        const type = util.getAttr(node, 'type');
+        if (type === undefined || JSScriptType.test(type)) {
+            minify = minifyJS;
+        } else if (JSONScriptType.test(type)) {
+            minify = content => JSON.stringify(JSON.parse(content));
+        }
+    }
+    if (minify === undefined) {
+        return;
+    }
+    // minify function can be async,eg: terser 5.x
+    return Promise.resolve(textNode.value).then(minify).then(code => {
+        if (typeof code === 'string') {
+            textNode.value = code;
+        }
+    }, () => {
+        // keep original content if it can't be minify,eg: syntax error in template
+    });
+}
+
+/**
+ * minify parse5 node tree in place,walk all descendants
+ * @param document parse5 document
+ * @param minify {boolean|Object} WebPlugin options.minify
+ * options.collapseWhitespace {boolean}
+ *      collapse whitespace in text,remove whitespace around block level elements,whitespace in <pre> <textarea> will be keep
+ * options.removeComments {boolean}
+ *      remove comments except conditional comments <!--[if IE]> and license comments <!--! -->
+ * options.removeRedundantAttributes {boolean}
+ *      remove attrs with default value,eg: <script type="text/javascript"> <style type="text/css">
+ * options.minifyJS {boolean|function}
+ *      minify inline script,true use uglify-js or terser if installed,typeof===function: (code)=>code or (code)=>Promise<code>
+ *      script inlined from webpack output will not be minify again
+ * options.minifyCSS {boolean|function}
+ *      minify inline style,true use built in css minify,typeof===function: (code)=>code or (code)=>Promise<code>
+ *      style inlined from webpack output will not be minify again
+ * @returns {Promise} resolved after all inline scripts and styles are minified
+ */
+function minifyDocument(document, minify) {
+    const options = normalizeOptions(minify);
+    if (options === undefined) {
+        return Promise.resolve();
+    }
+    const contentMinifies = [];
+    const { collapseWhitespace, removeComments, removeRedundantAttributes } = options;
+    const jsMinify = getContentMinify(options.minifyJS, options.minifyJS === true ? getJSMinify() : undefined);
+    const cssMinify = getContentMinify(options.minifyCSS, minifyCSS);
+
+    const walk = (parentNode, keepWhitespace) => {
+        const { childNodes } = parentNode;
+        for (let i = childNodes.length - 1; i >= 0; i--) {
+            const node = childNodes[i];
+            const { nodeName } = node;
+            if (nodeName === '#comment') {
+                const { data } = node;
+                if (removeComments && !data.startsWith('[if ') && !data.startsWith('<![endif]') && !data.startsWith('!')) {
+                    childNodes.splice(i, 1);
+                }
+            } else if (nodeName === '#text') {
+                if (collapseWhitespace && !keepWhitespace) {
+                    // only collapse html whitespace,&nbsp; should be keep
+                    let value = node.value.replace(/[ \t\n\r\f]+/g, ' ');
+                    if (isBlockBoundary(childNodes[i - 1], parentNode)) {
+                        value = value.replace(/^ /, '');
+                    }
+                    if (isBlockBoundary(childNodes[i + 1], parentNode)) {
+                        value = value.replace(/ $/, '');
+                    }
+                    node.value = value;
+                    if (value.length === 0 || (value === ' ' && NonRenderTags.indexOf(parentNode.nodeName) >= 0)) {
+                        childNodes.splice(i, 1);
+                    }
+                }
+            } else if (node.attrs) {
+                if (removeRedundantAttributes) {
+                    const redundantAttrs = RedundantAttrs[nodeName];
+                    node.attrs = node.attrs.filter(({ name, value }) => {
+                        if ((name === 'class' || name === 'style') && value.trim().length === 0) {
+                            return false;
+                        }
+                        return !(redundantAttrs && redundantAttrs[name] && redundantAttrs[name].test(value));
+                    });
+                }
+                if (nodeName === 'script' || nodeName === 'style') {
+                    contentMinifies.push(minifyContent(node, jsMinify, cssMinify));
+                }
+                if (node.childNodes) {
+                    walk(node, keepWhitespace || WhitespaceSensitiveTags.indexOf(nodeName) >= 0);
+                }
+                // <template> content is in a document fragment
+                if (node.content) {
+                    walk(node.content, keepWhitespace);
+                }
+            }
+        }
+    };
+    walk(document, false);
+    return Promise.all(contentMinifies);
+}
+
+module.exports = {
+    normalizeOptions,
+    minifyCSS,
+    minifyDocument,
+};
\ No newline at end of file
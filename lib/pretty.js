@@ -0,0 +1,196 @@
+const parse5 = require('parse5');
+
+/**
+ * default pretty options,used when WebPlugin options.pretty is true
+ * @type {Object}
+ */
+const DefaultPrettyOptions = {
+    indent: 4,
+    wrapAttributes: 0,
+};
+
+/**
+ * whitespace in these elements will be keep
+ * @type {Array<string>}
+ */
+const WhitespaceSensitiveTags = ['pre', 'textarea', 'script', 'style', 'plaintext', 'xmp'];
+
+/**
+ * nodes can be placed on its own line without change page render
+ * @type {Array<string>}
+ */
+const BlockNodes = [
+    '#comment', '#documentType', 'html', 'head', 'body', 'title', 'meta', 'link', 'base', 'script', 'style', 'noscript', 'template',
+    'address', 'article', 'aside', 'blockquote', 'details', 'dialog', 'summary', 'div', 'dl', 'dd', 'dt',
+    'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup',
+    'hr', 'li', 'main', 'nav', 'ol', 'ul', 'p', 'pre', 'section', 'table', 'caption', 'colgroup', 'col',
+    'thead', 'tbody', 'tfoot', 'tr', 'td', 'th', 'option', 'optgroup',
+];
+
+/**
+ * normalize WebPlugin options.pretty
+ * @param pretty {boolean|Object}
+ * @returns {Object|undefined} undefined means not pretty
+ */
+function normalizeOptions(pretty) {
+    let options;
+    if (pretty === true) {
+        options = Object.assign({}, DefaultPrettyOptions);
+    } else if (typeof pretty === 'object' && pretty !== null) {
+        options = Object.assign({}, DefaultPrettyOptions, pretty);
+    } else {
+        return;
+    }
+    // indent can be spaces count or indent string like \t
+    if (typeof options.indent === 'number') {
+        options.indent = ' '.repeat(options.indent);
+    }
+    return options;
+}
+
+/**
+ * whether all child nodes can be placed on its own line,text or inline element in child nodes will not be pretty
+ * @param childNodes
+ * @returns {boolean}
+ */
+function isBlockChildNodes(childNodes) {
+    return childNodes.every(node => {
+        if (node.nodeName === '#text') {
+            return /^[ \t\n\r\f]*$/.test(node.value);
+        }
+        return BlockNodes.indexOf(node.nodeName) >= 0;
+    });
+}
+
+/**
+ * elements have no end tag
+ * @type {Array<string>}
+ */
+const VoidTags = [
+    'area', 'base', 'basefont', 'bgsound', 'br', 'col', 'embed', 'frame', 'hr', 'img', 'input',
+    'keygen', 'link', 'menuitem', 'meta', 'param', 'source', 'track', 'wbr',
+];
+
+/**
+ * prefix of attr name in foreign elements like svg,eg: xlink:href
+ * @type {{namespace:string}}
+ */
+const AttrNamespacePrefixes = {
+    'http://www.w3.org/XML/1998/namespace': 'xml:',
+    'http://www.w3.org/2000/xmlns/': 'xmlns:',
+    'http://www.w3.org/1999/xlink': 'xlink:',
+};
+
+/**
+ * serialize an attr same as parse5 does
+ * @param attr parse5 attr {name, value, namespace}
+ * @returns {string} name="value"
+ */
+function serializeAttr(attr) {
+    let { name, namespace } = attr;
+    if (namespace) {
+        const prefix = AttrNamespacePrefixes[namespace];
+        if (prefix === undefined) {
+            name = `${namespace}:${name}`;
+        } else if (name !== 'xmlns' || prefix !== 'xmlns:') {
+            name = prefix + name;
+        }
+    }
+    const value = attr.value.replace(/&/g, '&amp;').replace(/\u00a0/g, '&nbsp;').replace(/"/g, '&quot;');
+    return `${name}="${value}"`;
+}
+
+/**
+ * serialize parse5 node tree,start tag will be wrap to multi lines when it's too long
+ * text comment and doctype are serialized by parse5
+ * @param node parse5 node
+ * @param options pretty options
+ * @param depthMap {WeakMap<node,number>} indent depth of every element
+ * @returns {string}
+ */
+function serializeNode(node, options, depthMap) {
+    if (!node.tagName) {
+        // parse5 check text's parent node to decide whether escape it
+        return parse5.serialize({ nodeName: '#document-fragment', childNodes: [node] });
+    }
+    const { tagName } = node;
+    const { indent, wrapAttributes } = options;
+    const baseIndent = indent.repeat(depthMap.get(node) || 0);
+    const attrs = node.attrs.map(serializeAttr);
+    let html = `<${tagName}${attrs.map(attr => ` ${attr}`).join('')}>`;
+    // element keep in line has no indent depth,don't wrap its attributes
+    if (wrapAttributes > 0 && depthMap.has(node) && attrs.length > 1 && `${baseIndent}${html}`.length > wrapAttributes) {
+        html = `<${tagName}${attrs.map(attr => `\n${baseIndent}${indent}${attr}`).join('')}>`;
+    }
+    if (VoidTags.indexOf(tagName) >= 0) {
+        return html;
+    }
+    const childNodes = (tagName === 'template' && node.content ? node.content : node).childNodes || [];
+    return `${html}${childNodes.map(childNode => serializeNode(childNode, options, depthMap)).join('')}</${tagName}>`;
+}
+
+/**
+ * pretty parse5 node tree in place,every block node will be placed on its own line with indent
+ * child nodes contain text or inline element will be keep as it is,so page render will not be changed
+ * @param node parse5 node
+ * @param options normalized pretty options
+ * @param depth indent depth of node's child nodes
+ * @param depthMap {WeakMap<node,number>} record indent depth of every element
+ */
+function prettyNode(node, options, depth, depthMap) {
+    const { indent } = options;
+    const childNodes = node.nodeName === 'template' ? node.content.childNodes : node.childNodes;
+    if (!childNodes || WhitespaceSensitiveTags.indexOf(node.nodeName) >= 0) {
+        return;
+    }
+    // text or inline element will be keep in line,so whole subtree is keep as it is as its indent is unknown
+    if (!isBlockChildNodes(childNodes)) {
+        return;
+    }
+    // children of <html> are not indent,like <head> <body>
+    const childDepth = node.nodeName === 'html' ? depth - 1 : depth;
+    childNodes.forEach(childNode => {
+        if (childNode.attrs) {
+            depthMap.set(childNode, childDepth);
+            prettyNode(childNode, options, childDepth + 1, depthMap);
+        }
+    });
+    const parentNode = node.nodeName === 'template' ? node.content : node;
+    const mockText = value => ({ nodeName: '#text', value, parentNode });
+    const nodes = childNodes.filter(childNode => childNode.nodeName !== '#text');
+    childNodes.length = 0;
+    nodes.forEach((childNode, index) => {
+        // document's first child should not start with new line
+        if (node.nodeName !== '#document' || index > 0) {
+            childNodes.push(mockText(`\n${indent.repeat(childDepth)}`));
+        }
+        childNodes.push(childNode);
+    });
+    if (nodes.length > 0 && node.nodeName !== '#document') {
+        childNodes.push(mockText(`\n${indent.repeat(Math.max(childDepth - 1, 0))}`));
+    }
+}
+
+/**
+ * pretty and serialize parse5 document
+ * @param document parse5 document
+ * @param pretty {boolean|Object} WebPlugin options.pretty
+ * options.indent {number|string}
+ *      indent spaces count or indent string like \t,default is 4
+ * options.wrapAttributes {number}
+ *      put every attribute on its own line when start tag is longer than it,default is 0 means never wrap
+ * @returns {string} html string
+ */
+function serializeDocument(document, pretty) {
+    const options = normalizeOptions(pretty);
+    if (options === undefined) {
+        return parse5.serialize(document);
+    }
+    const depthMap = new WeakMap();
+    prettyNode(document, options, 0, depthMap);
+    return document.childNodes.map(node => serializeNode(node, options, depthMap)).join('');
+}
+
+module.exports = {
+    serializeDocument,
+};
\ No newline at end of file
@@ -0,0 +1,131 @@
+const util = require('./util');
+const singleFile = require('./singleFile');
+
+/**
+ * files inlined and files load by url of every page in a compilation,all WebPlugin in a compilation share it
+ * key is page output filename
+ * @type {WeakMap<compilation,Map<string,{inlinedFiles: Set, linkedFiles: Set}>>}
+ */
+const CompilationPagesMap = new WeakMap();
+
+/**
+ * get source map file of a webpack output file,find out by sourceMappingURL comment or .map suffix
+ * @param compilation webpack compilation
+ * @param filename output file name
+ * @returns {string|undefined} source map output file name,undefined if not exist
+ */
+function getSourceMapFilename(compilation, filename) {
+    const source = util.getAssetSource(compilation, filename);
+    if (source === undefined) {
+        return;
+    }
+    // sourceMappingURL comment is at the end of file
+    const comments = source.toString().match(/[#@] sourceMappingURL=[^\s'"*]+/g) || [];
+    const mapUrl = comments.length > 0 ? comments[comments.length - 1].replace(/^[#@] sourceMappingURL=/, '') : undefined;
+    if (mapUrl !== undefined) {
+        return singleFile.getAssetFilename(compilation, mapUrl, filename);
+    }
+    if (util.getAssetSource(compilation, `${filename}.map`) !== undefined) {
+        return `${filename}.map`;
+    }
+}
+
+/**
+ * get webpack output files still load by url in a page
+ * include files in src href attr,files output by resources but not inlined,
+ * async chunk files can be load by resources and files load by url() in css load by url
+ * @param compilation webpack compilation
+ * @param htmlDocument HTMLDocument after all resources are output
+ * options.outputFiles {Set}
+ *      files output by resources in this page
+ * options.inlinedFiles {Set}
+ *      files inlined in this page
+ * options.singleFile {boolean}
+ *      async chunks are inlined in singleFile mode
+ * options.filename {string}
+ *      html output filename,url in html is relative to it
+ * @returns {Set}
+ */
+function getLinkedFiles(compilation, htmlDocument, options) {
+    const { outputFiles, inlinedFiles, filename: htmlFilename } = options;
+    const publicPath = util.getPublicPath(compilation, htmlFilename);
+    const linkedFiles = new Set();
+    const addFile = filename => {
+        if (filename !== undefined) {
+            linkedFiles.add(filename);
+        }
+    };
+    // resource like <link href> may use stylePublicPath,so use output files too
+    outputFiles.forEach(filename => {
+        if (!inlinedFiles.has(filename)) {
+            addFile(filename);
+        }
+    });
+    const walk = (node) => {
+        (node.childNodes || []).forEach(childNode => {
+            ['src', 'href'].forEach(name => {
+                const assetUrl = childNode.attrs ? util.getAttr(childNode, name) : undefined;
+                if (assetUrl !== undefined) {
+                    addFile(singleFile.getAssetFilename(compilation, assetUrl, htmlFilename, publicPath));
+                }
+            });
+            walk(childNode);
+        });
+    };
+    walk(htmlDocument.document);
+    if (options.singleFile !== true) {
+        htmlDocument.scriptResources.forEach(({ chunkName }) => {
+            if (chunkName) {
+                util.getChunkNameAsyncFiles(compilation, chunkName).forEach(addFile);
+            }
+        });
+    }
+    // images and fonts load by css load by url
+    Array.from(linkedFiles).filter(filename => filename.endsWith('.css')).forEach(filename => {
+        const css = util.getAssetSource(compilation, filename);
+        if (css !== undefined) {
+            singleFile.getCSSUrlFiles(compilation, css.toString(), filename).forEach(addFile);
+        }
+    });
+    return linkedFiles;
+}
+
+/**
+ * record files of a page,then remove files inlined by pages and their source maps from webpack output,
+ * file still load by url in any page will be keep,file removed by previous page will be add back
+ * call it after every page is output,so the last page will get the final result
+ * @param compilation webpack compilation
+ * @param pageFilename page output filename
+ * @param pageFiles {{inlinedFiles: Set, linkedFiles: Set}} inlinedFiles should be empty if page don't want to remove inlined files
+ */
+function updatePageFiles(compilation, pageFilename, pageFiles) {
+    let pages = CompilationPagesMap.get(compilation);
+    if (pages === undefined) {
+        pages = new Map();
+        CompilationPagesMap.set(compilation, pages);
+    }
+    pages.set(pageFilename, pageFiles);
+    const inlinedFiles = new Set();
+    const linkedFiles = new Set();
+    pages.forEach(page => {
+        page.inlinedFiles.forEach(filename => inlinedFiles.add(filename));
+        page.linkedFiles.forEach(filename => linkedFiles.add(filename));
+    });
+    inlinedFiles.forEach(filename => {
+        const files = [filename];
+        const sourceMapFilename = getSourceMapFilename(compilation, filename);
+        if (sourceMapFilename !== undefined) {
+            files.push(sourceMapFilename);
+        }
+        if (linkedFiles.has(filename)) {
+            files.forEach(file => util.restoreAsset(compilation, file));
+        } else {
+            files.forEach(file => util.removeAsset(compilation, file));
+        }
+    });
+}
+
+module.exports = {
+    getLinkedFiles,
+    updatePageFiles,
+};
\ No newline at end of file
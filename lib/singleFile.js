@@ -0,0 +1,149 @@
+const fs = require('fs');
+const path = require('path');
+const util = require('./util');
+
+/**
+ * mime type of assets can be inlined as data URI
+ * @type {{ext: string}}
+ */
+const MimeTypes = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.bmp': 'image/bmp',
+    '.ico': 'image/x-icon',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf',
+    '.otf': 'font/otf',
+    '.eot': 'application/vnd.ms-fontobject',
+};
+
+/**
+ * match url() in css,$1 is quote $2 is url
+ * @type {RegExp}
+ */
+const CSSUrlReg = /url\(\s*(['"]?)([^'")]+)\1\s*\)/g;
+
+/**
+ * convert file content to base64 data URI
+ * @param fileContent {string|Buffer}
+ * @param filename used to get mime type
+ * @returns {string} eg: data:image/png;base64,xxx
+ */
+function toDataURI(fileContent, filename) {
+    const mimeType = MimeTypes[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+    return `data:${mimeType};base64,${Buffer.from(fileContent).toString('base64')}`;
+}
+
+/**
+ * find out webpack output file name for a url in html or css
+ * @param compilation webpack compilation
+ * @param assetUrl url in html or css,eg: /static/logo.png
+ * @param baseFilename url is relative to this output file,eg: css file name or html file name
+ * @param publicPath publicPath url start with,default is publicPath relative to output path
+ * @returns {string|undefined} output file name,undefined if url is not point to webpack output file
+ */
+function getAssetFilename(compilation, assetUrl, baseFilename = '', publicPath = util.getPublicPath(compilation)) {
+    // external url and data URI should be keep
+    if (/^([a-z][a-z\d+.-]*:|\/\/|#)/i.test(assetUrl)) {
+        return;
+    }
+    assetUrl = assetUrl.replace(/[?#].*$/, '');
+    let filename;
+    if (publicPath && assetUrl.startsWith(publicPath)) {
+        filename = assetUrl.substr(publicPath.length);
+    } else if (assetUrl.startsWith('/')) {
+        filename = assetUrl.substr(1);
+    } else {
+        filename = path.posix.join(path.posix.dirname(baseFilename), assetUrl);
+    }
+    return util.getAssetSource(compilation, filename) !== undefined ? filename : undefined;
+}
+
+/**
+ * replace url() in css with data URI of webpack output file
+ * @param compilation webpack compilation
+ * @param css {string} css content
+ * @param cssFilename css output file name,relative url in css is relative to it
+ * @param inlinedFiles {Set} output files inlined will be add to it
+ * @returns {string}
+ */
+function inlineCSSUrls(compilation, css, cssFilename, inlinedFiles) {
+    return css.replace(CSSUrlReg, (match, quote, assetUrl) => {
+        const filename = getAssetFilename(compilation, assetUrl.trim(), cssFilename);
+        if (filename === undefined) {
+            return match;
+        }
+        inlinedFiles.add(filename);
+        return `url(${quote}${toDataURI(util.getAssetSource(compilation, filename), filename)}${quote})`;
+    });
+}
+
+/**
+ * get webpack output files load by url() in css
+ * @param compilation webpack compilation
+ * @param css {string} css content
+ * @param cssFilename css output file name,relative url in css is relative to it
+ * @returns {Array}
+ */
+function getCSSUrlFiles(compilation, css, cssFilename) {
+    const files = [];
+    css.replace(CSSUrlReg, (match, quote, assetUrl) => {
+        const filename = getAssetFilename(compilation, assetUrl.trim(), cssFilename);
+        if (filename !== undefined) {
+            files.push(filename);
+        }
+        return match;
+    });
+    return files;
+}
+
+/**
+ * replace <img src> in html document with data URI
+ * src can point to webpack output file or local file relative to html template
+ * @param compilation webpack compilation
+ * @param htmlDocument HTMLDocument
+ * @param inlinedFiles {Set} output files inlined will be add to it
+ * @param htmlFilename html output filename,src is relative to it
+ */
+function inlineImages(compilation, htmlDocument, inlinedFiles, htmlFilename = '') {
+    const publicPath = util.getPublicPath(compilation, htmlFilename);
+    const walk = (node) => {
+        (node.childNodes || []).forEach(childNode => {
+            const src = childNode.nodeName === 'img' ? util.getAttr(childNode, 'src') : undefined;
+            if (src !== undefined) {
+                let dataURI;
+                const filename = getAssetFilename(compilation, src, htmlFilename, publicPath);
+                if (filename !== undefined) {
+                    inlinedFiles.add(filename);
+                    dataURI = toDataURI(util.getAssetSource(compilation, filename), filename);
+                } else if (!/^([a-z][a-z\d+.-]*:|\/\/|\/)/i.test(src)) {
+                    // local file relative to html template
+                    const filePath = path.resolve(path.dirname(htmlDocument.htmlTemplateFilePath || '.'), src.replace(/[?#].*$/, ''));
+                    if (fs.existsSync(filePath)) {
+                        util.addFileDependency(compilation, filePath);
+                        dataURI = toDataURI(fs.readFileSync(filePath), filePath);
+                    }
+                }
+                if (dataURI !== undefined) {
+                    childNode.attrs.find(attr => attr.name === 'src').value = dataURI;
+                }
+            }
+            walk(childNode);
+        });
+    };
+    walk(htmlDocument.document);
+}
+
+module.exports = {
+    toDataURI,
+    getAssetFilename,
+    inlineCSSUrls,
+    getCSSUrlFiles,
+    inlineImages,
+};
\ No newline at end of file
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * html escape map for <%- %>
+ * @type {{string:string}}
+ */
+const HtmlEscapes = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+};
+
+/**
+ * escape html special chars in value
+ * @param value
+ * @returns {string}
+ */
+function escape(value) {
+    return toString(value).replace(/[&<>"']/g, char => HtmlEscapes[char]);
+}
+
+/**
+ * convert value to string for output,null and undefined output empty string
+ * @param value
+ * @returns {string}
+ */
+function toString(value) {
+    return value === null || value === undefined ? '' : String(value);
+}
+
+/**
+ * compile a lodash template style source to render function
+ * <%= value %> output value
+ * <%- value %> output html escaped value
+ * <% code %> execute javascript code,eg: <% chunks.forEach(chunk => { %> <%= chunk %> <% }) %>
+ * @param source template source
+ * @returns {function(data)}
+ */
+function compile(source) {
+    const reg = /<%([=-]?)([\s\S]+?)%>/g;
+    let code = '';
+    let cursor = 0;
+    let match;
+    while ((match = reg.exec(source)) !== null) {
+        const [all, flag, js] = match;
+        code += `__out += ${JSON.stringify(source.slice(cursor, match.index))};\n`;
+        if (flag === '=') {
+            code += `__out += __toString(${js});\n`;
+        } else if (flag === '-') {
+            code += `__out += __escape(${js});\n`;
+        } else {
+            code += `${js}\n`;
+        }
+        cursor = match.index + all.length;
+    }
+    code += `__out += ${JSON.stringify(source.slice(cursor))};\n`;
+    const fn = new Function('__data', '__toString', '__escape', `var __out = '';\nwith (__data) {\n${code}}\nreturn __out;`);
+    return data => fn(data, toString, escape);
+}
+
+/**
+ * render template source with data by built-in lodash template style engine
+ * @param source template source
+ * @param data template data
+ * @returns {string}
+ */
+function render(source, data) {
+    return compile(source)(data);
+}
+
+/**
+ * render a template source with templateEngine
+ * data.include(filePath) can render another template file relative to htmlTemplateFilePath with the same data
+ * @param source template source
+ * @param options
+ * options.templateEngine {function|boolean}
+ *      true: use built-in lodash template style engine
+ *      function(source,data)=>string: custom template engine like ejs handlebars
+ * options.templateData {Object}
+ *      data pass to template
+ * options.htmlTemplateFilePath {string}
+ *      template file path,include file path is relative to it
+ * options.fileDependencies {Array}
+ *      included file path will be push into it
+ * @returns {string}
+ */
+function renderTemplate(source, options) {
+    const { templateEngine, templateData, htmlTemplateFilePath, fileDependencies = [] } = options;
+    const engine = typeof templateEngine === 'function' ? templateEngine : render;
+    const data = Object.assign({}, templateData, {
+        include: filePath => {
+            filePath = path.resolve(path.dirname(htmlTemplateFilePath || '.'), filePath);
+            fileDependencies.push(filePath);
+            const includeSource = fs.readFileSync(filePath, {
+                encoding: 'utf8'
+            });
+            return renderTemplate(includeSource, Object.assign({}, options, {
+                htmlTemplateFilePath: filePath,
+                fileDependencies,
+            }));
+        }
+    });
+    return engine(source, data);
+}
+
+module.exports = {
+    render,
+    renderTemplate,
+};
\ No newline at end of file
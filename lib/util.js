@@ -1,73 +1,522 @@
 const path = require('path');
-const DefinePlugin = require('webpack/lib/DefinePlugin');
+const url = require('url');
+const crypto = require('crypto');
+
+/**
+ * get value from javascript code string define by DefinePlugin
+ * '"production"' "'production'" JSON.stringify('production') => production
+ * @param code
+ * @returns {string|undefined}
+ */
+function getDefinedString(code) {
+    if (typeof code !== 'string') {
+        return undefined;
+    }
+    const match = /^\s*(["'])(.*)\1\s*$/.exec(code);
+    return match ? match[2] : code.trim();
+}
+
+/**
+ * get process.env.NODE_ENV value define by DefinePlugin,support definitions like:
+ * { 'process.env.NODE_ENV': '"production"' }
+ * { 'process.env': { NODE_ENV: '"production"' } }
+ * { process: { env: { NODE_ENV: '"production"' } } }
+ * @param definitions DefinePlugin definitions
+ * @returns {string|undefined}
+ */
+function getDefinePluginNodeEnv(definitions) {
+    if (definitions.hasOwnProperty('process.env.NODE_ENV')) {
+        return getDefinedString(definitions['process.env.NODE_ENV']);
+    }
+    let env = definitions['process.env'];
+    if (env === undefined && typeof definitions.process === 'object' && definitions.process !== null) {
+        env = definitions.process.env;
+    }
+    if (typeof env === 'object' && env !== null && env.hasOwnProperty('NODE_ENV')) {
+        return getDefinedString(env.NODE_ENV);
+    }
+    return undefined;
+}
+
+/**
+ * get process.env.NODE_ENV value will be replaced in code by webpack compiler
+ * detect from DefinePlugin EnvironmentPlugin and webpack >= 4 optimization.nodeEnv
+ * @param compiler
+ * @returns {string|undefined} undefined if not define process.env.NODE_ENV
+ */
+function getCompilerNodeEnv(compiler) {
+    //noinspection JSUnresolvedVariable
+    const { plugins = [], optimization } = compiler.options;
+    for (let i = 0; i < plugins.length; i++) {
+        const plugin = plugins[i];
+        if (plugin === null || typeof plugin !== 'object') {
+            continue;
+        }
+        const pluginName = plugin.constructor.name;
+        //noinspection JSUnresolvedVariable
+        if (pluginName === 'DefinePlugin' && typeof plugin.definitions === 'object') {
+            const nodeEnv = getDefinePluginNodeEnv(plugin.definitions);
+            if (nodeEnv !== undefined) {
+                return nodeEnv;
+            }
+        } else if (pluginName === 'EnvironmentPlugin' && Array.isArray(plugin.keys) && plugin.keys.indexOf('NODE_ENV') >= 0) {
+            // EnvironmentPlugin use process.env value first,then use default value
+            //noinspection JSUnresolvedVariable
+            const defaultValues = plugin.defaultValues || {};
+            return process.env.NODE_ENV !== undefined ? process.env.NODE_ENV : defaultValues.NODE_ENV;
+        }
+    }
+    if (optimization && typeof optimization.nodeEnv === 'string') {
+        return optimization.nodeEnv;
+    }
+    return undefined;
+}
 
 /**
  * whether is webpack compiler is in Production env
- * only if webpack use DefinePlugin to define
- * process.env.NODE_ENV==="production"
- * will return true else return false
+ * detect in order:
+ * 1. webpack >= 4 mode option is production
+ * 2. process.env.NODE_ENV in code define by DefinePlugin EnvironmentPlugin or optimization.nodeEnv is production, include webpack -p
+ * 3. webpack >= 4 mode option is development or none will return false
+ * 4. process.env.NODE_ENV of node.js process run webpack is production
+ * call it after webpack options default value is applied,eg: on emit
  * @param compiler
  * @returns {boolean}
  */
 function isProduction(compiler) {
     //noinspection JSUnresolvedVariable
-    if (process.env.NODE_ENV === 'production') {
+    const { mode } = compiler.options;
+    if (mode === 'production') {
         return true;
     }
-    const plugins = compiler.options.plugins;
-    for (let i = 0; i < plugins.length; i++) {
-        const plugin = plugins[i];
-        try {
-            if (plugin.__proto__.constructor === DefinePlugin) {
-                //noinspection JSUnresolvedVariable
-                if (plugin.definitions['process.env.NODE_ENV'] === '"production"') {
-                    return true;
-                }
-            }
-        } catch (_) {
-        }
+    const nodeEnv = getCompilerNodeEnv(compiler);
+    if (nodeEnv !== undefined) {
+        return nodeEnv === 'production';
     }
-    return false;
+    if (mode === 'development' || mode === 'none') {
+        return false;
+    }
+    //noinspection JSUnresolvedVariable
+    return process.env.NODE_ENV === 'production';
 }
 
 /**
  * add a file to webpack compilation output files
+ * use compilation.emitAsset for webpack >= 4 and compilation.assets for webpack 2 3
  * @param compilation webpack compilation
  * @param filename output file name
  * @param fileContent output file string content
  */
 function addFileToWebpackOutput(compilation, filename, fileContent) {
+    //noinspection JSUnresolvedVariable
+    const { webpack } = compilation.compiler;
+    let source;
+    if (webpack && webpack.sources) {
+        // webpack 5 require a real Source instance for asset
+        source = new webpack.sources.RawSource(fileContent);
+    } else {
+        source = {
+            source: () => {
+                return fileContent;
+            },
+            size: () => {
+                return Buffer.byteLength(fileContent, 'utf8');
+            }
+        };
+    }
     //noinspection JSUnresolvedVariable,JSUnusedGlobalSymbols
-    compilation.assets[filename] = {
-        source: () => {
-            return fileContent;
-        },
-        size: () => {
-            return Buffer.byteLength(fileContent, 'utf8');
+    if (typeof compilation.emitAsset === 'function') {
+        if (compilation.assets[filename] === undefined) {
+            compilation.emitAsset(filename, source);
+        } else {
+            // emitAsset will throw conflict error when filename has been emit
+            compilation.updateAsset(filename, source);
+        }
+    } else {
+        compilation.assets[filename] = source;
+    }
+}
+
+/**
+ * source of assets removed from webpack output in a compilation,other pages may still need them
+ * @type {WeakMap<compilation,{filename:Source}>}
+ */
+const RemovedAssetsMap = new WeakMap();
+
+/**
+ * get webpack output file content,file has been removed by removeAsset can still be get
+ * @param compilation webpack compilation
+ * @param filename output file name
+ * @returns {string|Buffer|undefined}
+ */
+function getAssetSource(compilation, filename) {
+    const removedAssets = RemovedAssetsMap.get(compilation) || {};
+    if (removedAssets[filename] !== undefined) {
+        return removedAssets[filename].source();
+    }
+    const source = compilation.assets[filename];
+    return source ? source.source() : undefined;
+}
+
+/**
+ * remove a file from webpack output
+ * webpack 5 compilation.deleteAsset also remove file from chunk.files,so delete it after all pages are output
+ * @param compilation webpack compilation
+ * @param filename output file name
+ */
+function removeAsset(compilation, filename) {
+    let removedAssets = RemovedAssetsMap.get(compilation);
+    if (removedAssets === undefined) {
+        removedAssets = {};
+        RemovedAssetsMap.set(compilation, removedAssets);
+        //noinspection JSUnresolvedVariable
+        if (typeof compilation.deleteAsset === 'function' && compilation.hooks.afterProcessAssets) {
+            compilation.hooks.afterProcessAssets.tap('WebPlugin', () => {
+                Object.keys(removedAssets).forEach(name => {
+                    if (compilation.getAsset(name)) {
+                        compilation.deleteAsset(name);
+                    }
+                });
+            });
+        }
+    }
+    if (removedAssets[filename] === undefined && compilation.assets[filename] !== undefined) {
+        removedAssets[filename] = compilation.assets[filename];
+        if (typeof compilation.deleteAsset !== 'function') {
+            delete compilation.assets[filename];
         }
     }
 }
 
 /**
- * is use use extract-text-webpack-plugin ?
+ * add a file removed by removeAsset back to webpack output
+ * @param compilation webpack compilation
+ * @param filename output file name
+ */
+function restoreAsset(compilation, filename) {
+    const removedAssets = RemovedAssetsMap.get(compilation);
+    if (removedAssets !== undefined && removedAssets[filename] !== undefined) {
+        if (typeof compilation.deleteAsset !== 'function') {
+            compilation.assets[filename] = removedAssets[filename];
+        }
+        delete removedAssets[filename];
+    }
+}
+
+/**
+ * add a file to webpack compilation file dependencies,webpack will watch it and rebuild when it changed
+ * compilation.fileDependencies is Array in webpack 2 3 and is Set in webpack >= 4
+ * @param compilation webpack compilation
+ * @param filePath full path of file
+ */
+function addFileDependency(compilation, filePath) {
+    //noinspection JSUnresolvedVariable
+    const { fileDependencies } = compilation;
+    if (typeof fileDependencies.add === 'function') {
+        fileDependencies.add(filePath);
+    } else if (fileDependencies.indexOf(filePath) < 0) {
+        fileDependencies.push(filePath);
+    }
+}
+
+/**
+ * add a dir to webpack compilation context dependencies,webpack will watch it and rebuild when files in it added or removed
+ * compilation.contextDependencies is Array in webpack 2 3 and is Set in webpack >= 4
+ * @param compilation webpack compilation
+ * @param dir full path of dir
+ */
+function addContextDependency(compilation, dir) {
+    //noinspection JSUnresolvedVariable
+    const { contextDependencies } = compilation;
+    if (typeof contextDependencies.add === 'function') {
+        contextDependencies.add(dir);
+    } else if (contextDependencies.indexOf(dir) < 0) {
+        contextDependencies.push(dir);
+    }
+}
+
+/**
+ * call fn when webpack emit assets, compatible with webpack 2 3 4 5
+ * webpack 2 3 use compiler.plugin('emit'),webpack 4 use compiler.hooks.emit,
+ * webpack 5 use compilation.hooks.processAssets at report stage so all other assets are optimized and hashed
+ * @param compiler webpack compiler
+ * @param pluginName plugin name show in webpack hooks
+ * @param fn {function(compilation,callback)}
+ */
+function onEmit(compiler, pluginName, fn) {
+    //noinspection JSUnresolvedVariable
+    const { hooks, webpack } = compiler;
+    if (hooks === undefined) {
+        //noinspection JSUnresolvedFunction
+        compiler.plugin('emit', fn);
+    } else if (webpack && webpack.Compilation && webpack.Compilation.PROCESS_ASSETS_STAGE_REPORT !== undefined) {
+        hooks.thisCompilation.tap(pluginName, compilation => {
+            compilation.hooks.processAssets.tapAsync({
+                name: pluginName,
+                stage: webpack.Compilation.PROCESS_ASSETS_STAGE_REPORT,
+            }, (assets, callback) => fn(compilation, callback));
+        });
+    } else {
+        hooks.emit.tapAsync(pluginName, fn);
+    }
+}
+
+/**
+ * call fn before webpack start a compilation in watch mode,compatible with webpack 2 3 4 5
+ * webpack --watch and webpack-dev-server run in watch mode
+ * @param compiler webpack compiler
+ * @param pluginName plugin name show in webpack hooks
+ * @param fn {function()}
+ */
+function onWatchRun(compiler, pluginName, fn) {
+    const { hooks } = compiler;
+    if (hooks === undefined) {
+        //noinspection JSUnresolvedFunction
+        compiler.plugin('watch-run', (watching, callback) => {
+            fn();
+            callback();
+        });
+    } else {
+        hooks.watchRun.tap(pluginName, () => fn());
+    }
+}
+
+/**
+ * call fn when webpack compiler start a new compilation,child compilation will not call fn,compatible with webpack 2 3 4 5
+ * @param compiler webpack compiler
+ * @param pluginName plugin name show in webpack hooks
+ * @param fn {function(compilation)}
+ */
+function onThisCompilation(compiler, pluginName, fn) {
+    const { hooks } = compiler;
+    if (hooks === undefined) {
+        //noinspection JSUnresolvedFunction
+        compiler.plugin('this-compilation', fn);
+    } else {
+        hooks.thisCompilation.tap(pluginName, fn);
+    }
+}
+
+/**
+ * call fn when webpack compiler finish a compilation,whether it's success or failed,compatible with webpack 2 3 4 5
+ * @param compiler webpack compiler
+ * @param pluginName plugin name show in webpack hooks
+ * @param fn {function()}
+ */
+function onDone(compiler, pluginName, fn) {
+    const { hooks } = compiler;
+    if (hooks === undefined) {
+        //noinspection JSUnresolvedFunction
+        compiler.plugin('done', () => fn());
+        //noinspection JSUnresolvedFunction
+        compiler.plugin('failed', () => fn());
+    } else {
+        hooks.done.tap(pluginName, () => fn());
+        hooks.failed.tap(pluginName, () => fn());
+    }
+}
+
+/**
+ * call fn when webpack create compilation hash,fn can update compilation hash,compatible with webpack 2 3 4 5
+ * @param compiler webpack compiler
+ * @param pluginName plugin name show in webpack hooks
+ * @param fn {function(hash)} hash is node crypto Hash like object
+ */
+function onHash(compiler, pluginName, fn) {
+    const { hooks } = compiler;
+    if (hooks === undefined) {
+        //noinspection JSUnresolvedFunction
+        compiler.plugin('this-compilation', compilation => {
+            compilation.mainTemplate.plugin('hash', fn);
+        });
+    } else {
+        hooks.thisCompilation.tap(pluginName, compilation => {
+            if (compilation.hooks.fullHash) {
+                // webpack 5
+                compilation.hooks.fullHash.tap(pluginName, fn);
+            } else {
+                compilation.mainTemplate.hooks.hash.tap(pluginName, fn);
+            }
+        });
+    }
+}
+
+/**
+ * whether webpack compiler support hooks API, webpack >= 4 support it
  * @param compiler
  * @returns {boolean}
  */
-function isExtractStyle(compiler) {
-    const plugins = compiler.options.plugins;
-    try {
-        const ExtractTextPlugin = require('extract-text-webpack-plugin');
-        for (let i = 0; i < plugins.length; i++) {
-            const plugin = plugins[i];
-            if (plugin.__proto__.constructor === ExtractTextPlugin) {
-                if (plugin.filename.endsWith('.css')) {
-                    return true;
+function isHooksCompiler(compiler) {
+    return compiler.hooks !== undefined;
+}
+
+/**
+ * get all chunks in compilation as array
+ * compilation.chunks is Array in webpack <= 4 and is Set in webpack 5
+ * @param compilation
+ * @returns {Array}
+ */
+function getChunks(compilation) {
+    return Array.from(compilation.chunks);
+}
+
+/**
+ * get entrypoint by name in compilation
+ * compilation.entrypoints is Object in webpack 2 3 and is Map in webpack >= 4
+ * @param compilation
+ * @param name entry name
+ * @returns {*} entrypoint has chunks in load order,undefined if not found
+ */
+function getEntrypoint(compilation, name) {
+    //noinspection JSUnresolvedVariable
+    const { entrypoints } = compilation;
+    if (entrypoints === undefined) {
+        return undefined;
+    }
+    if (typeof entrypoints.get === 'function') {
+        return entrypoints.get(name);
+    }
+    return entrypoints.hasOwnProperty(name) ? entrypoints[name] : undefined;
+}
+
+/**
+ * get output files for a chunk as array
+ * chunk.files is Array in webpack <= 4 and is Set in webpack 5
+ * @param chunk
+ * @returns {Array}
+ */
+function getChunkFiles(chunk) {
+    return Array.from(chunk.files);
+}
+
+/**
+ * get webpack compilation output files by chunkName
+ * if chunkName is an entrypoint,return all files of chunks in this entrypoint in load order,
+ * include runtime chunk and chunks split from this entry
+ * @param compilation
+ * @param chunkName
+ * @returns {Array} relate files for chunkName
+ */
+function getChunkNameFiles(compilation, chunkName) {
+    const entrypoint = getEntrypoint(compilation, chunkName);
+    if (entrypoint) {
+        const files = [];
+        entrypoint.chunks.forEach(chunk => {
+            getChunkFiles(chunk).forEach(file => {
+                if (files.indexOf(file) < 0) {
+                    files.push(file);
                 }
-            }
+            });
+        });
+        return files;
+    }
+    const chunks = getChunks(compilation);
+    for (let i = 0; i < chunks.length; i++) {
+        let chunk = chunks[i];
+        if (chunk.name === chunkName) {
+            return getChunkFiles(chunk);
         }
-    } catch (_) {
     }
-    return false;
+    return [];
+}
+
+/**
+ * get all async chunks can be load by a chunk
+ * webpack >= 4 use chunk.getAllAsyncChunks,webpack 2 3 chunk.chunks is async children chunks,
+ * initial chunks in chunk.chunks are entry chunks of other entrypoints share this commons chunk,so skip them
+ * @param chunk
+ * @returns {Array}
+ */
+function getAsyncChunks(chunk) {
+    if (typeof chunk.getAllAsyncChunks === 'function') {
+        return Array.from(chunk.getAllAsyncChunks());
+    }
+    const ret = [];
+    const queue = [...(chunk.chunks || [])];
+    while (queue.length > 0) {
+        const asyncChunk = queue.shift();
+        if (ret.indexOf(asyncChunk) < 0 && !asyncChunk.isInitial()) {
+            ret.push(asyncChunk);
+            queue.push(...(asyncChunk.chunks || []));
+        }
+    }
+    return ret;
+}
+
+/**
+ * get all async chunks can be load by an entrypoint in webpack >= 4
+ * walk chunk groups created by import() in this entrypoint only,
+ * chunk.getAllAsyncChunks of runtime or commons chunk shared by entrypoints contains async chunks of other entrypoints
+ * @param entrypoint
+ * @returns {Array}
+ */
+function getEntrypointAsyncChunks(entrypoint) {
+    const ret = [];
+    const visited = new Set([entrypoint]);
+    const queue = Array.from(entrypoint.getChildren());
+    while (queue.length > 0) {
+        const chunkGroup = queue.shift();
+        if (!visited.has(chunkGroup)) {
+            visited.add(chunkGroup);
+            chunkGroup.chunks.forEach(chunk => {
+                // chunks already loaded by entrypoint
+                if (ret.indexOf(chunk) < 0 && entrypoint.chunks.indexOf(chunk) < 0) {
+                    ret.push(chunk);
+                }
+            });
+            queue.push(...chunkGroup.getChildren());
+        }
+    }
+    return ret;
+}
+
+/**
+ * get output files of all async chunks can be load by chunkName
+ * @param compilation
+ * @param chunkName entrypoint name or chunk name
+ * @returns {Array}
+ */
+function getChunkNameAsyncFiles(compilation, chunkName) {
+    const entrypoint = getEntrypoint(compilation, chunkName);
+    let asyncChunks = [];
+    if (entrypoint && typeof entrypoint.getChildren === 'function') {
+        asyncChunks = getEntrypointAsyncChunks(entrypoint);
+    } else {
+        const chunks = entrypoint ? entrypoint.chunks : getChunks(compilation).filter(chunk => chunk.name === chunkName);
+        chunks.forEach(chunk => {
+            getAsyncChunks(chunk).forEach(asyncChunk => {
+                if (asyncChunks.indexOf(asyncChunk) < 0) {
+                    asyncChunks.push(asyncChunk);
+                }
+            });
+        });
+    }
+    const files = [];
+    asyncChunks.forEach(asyncChunk => {
+        getChunkFiles(asyncChunk).forEach(file => {
+            if (files.indexOf(file) < 0) {
+                files.push(file);
+            }
+        });
+    });
+    return files;
+}
+
+/**
+ * get all entrypoint names and named chunk names in compilation
+ * @param compilation
+ * @returns {Array}
+ */
+function getChunkNames(compilation) {
+    //noinspection JSUnresolvedVariable
+    const { entrypoints = {} } = compilation;
+    const names = typeof entrypoints.keys === 'function' ? Array.from(entrypoints.keys()) : Object.keys(entrypoints);
+    getChunks(compilation).forEach(chunk => {
+        if (typeof chunk.name === 'string' && names.indexOf(chunk.name) < 0) {
+            names.push(chunk.name);
+        }
+    });
+    return names;
 }
 
 /**
@@ -105,6 +554,140 @@ function replaceNodesWithNodes(oldNodes, newNodes = []) {
     childNodes.splice(index, 0, ...newNodes);
 }
 
+/**
+ * get attr value of parse5 node
+ * @param node
+ * @param name attr name
+ * @returns {string|undefined}
+ */
+function getAttr(node, name) {
+    const attr = (node.attrs || []).find(attr => attr.name === name);
+    return attr ? attr.value : undefined;
+}
+
+/**
+ * find out all script and style nodes in parse5 node tree
+ * @param node parse5 node
+ * @param ret {{scripts: Array, styles: Array}}
+ * @returns {{scripts: Array, styles: Array}}
+ */
+function findScriptStyleNodes(node, ret = { scripts: [], styles: [] }) {
+    (node.childNodes || []).forEach(childNode => {
+        const { nodeName } = childNode;
+        if (nodeName === 'script') {
+            ret.scripts.push(childNode);
+        } else if (nodeName === 'style' || (nodeName === 'link' && getAttr(childNode, 'rel') === 'stylesheet')) {
+            ret.styles.push(childNode);
+        } else {
+            findScriptStyleNodes(childNode, ret);
+        }
+    });
+    return ret;
+}
+
+/**
+ * get inline content of script or style node,return undefined if node load content by url
+ * @param node
+ * @returns {string|undefined}
+ */
+function getInlineContent(node) {
+    if (node.nodeName === 'link' || getAttr(node, 'src') !== undefined) {
+        return undefined;
+    }
+    return (node.childNodes || []).map(childNode => childNode.value || '').join('');
+}
+
+/**
+ * convert file content to content can be placed in <script> or <style> safely
+ * source map comment at the end is removed as the file may not be output,
+ * </script </style and <!-- are escaped so they will not end the tag or change how html parse script
+ * @param fileContent {string|Buffer}
+ * @param type script or style
+ * @returns {string}
+ */
+function toInlineContent(fileContent, type) {
+    let content = fileContent.toString();
+    if (type === 'script') {
+        content = content.replace(/\n?\/\/[#@] sourceMappingURL=[^\s'"]*\s*$/, '')
+            .replace(/<\/(script)/gi, '<\\/$1')
+            .replace(/<!--/g, '\\x3C!--');
+    } else {
+        content = content.replace(/\n?\/\*[#@] sourceMappingURL=[^*]*\*\/\s*$/, '')
+            .replace(/<\/(style)/gi, '<\\/$1');
+    }
+    return content;
+}
+
+/**
+ * Subresource Integrity hash algorithms supported by browsers
+ * @type {Array<string>}
+ */
+const IntegrityAlgorithms = ['sha256', 'sha384', 'sha512'];
+
+/**
+ * get Subresource Integrity value for a file content
+ * @param fileContent {string|Buffer} file content to hash
+ * @param algorithm {string} one of IntegrityAlgorithms
+ * @returns {string} eg: sha384-oqVuAfXRKap7fdgcCY5uykM6+R9GqQ8K/uxy9rx7HNQlGYl1kPzQho1wx4JwY8wC
+ */
+function getIntegrity(fileContent, algorithm) {
+    const hash = crypto.createHash(algorithm).update(fileContent).digest('base64');
+    return `${algorithm}-${hash}`;
+}
+
+/**
+ * get integrity and crossorigin attrs for a script or link node
+ * @param integrity {string} integrity attr value
+ * @param crossorigin {string} crossorigin attr value
+ * @returns {Array}
+ */
+function integrityAttrs(integrity, crossorigin) {
+    const attrs = [];
+    if (typeof integrity === 'string') {
+        attrs.push({ name: 'integrity', value: integrity });
+        // browser only check integrity for cross origin resource loaded in CORS mode
+        attrs.push({ name: 'crossorigin', value: crossorigin || 'anonymous' });
+    }
+    return attrs;
+}
+
+/**
+ * append attrs to target attrs,attr already in target attrs will be ignored
+ * @param target {Array} parse5 node attrs
+ * @param attrs {Array} attrs to append,eg: attrs copy from html template node
+ * @returns {Array} target
+ */
+function appendAttrs(target, attrs = []) {
+    attrs.forEach(attr => {
+        if (target.findIndex(one => one.name === attr.name) < 0) {
+            target.push({ name: attr.name, value: attr.value });
+        }
+    });
+    return target;
+}
+
+/**
+ * get script tag's load attrs
+ * @param options mockScriptNode's options
+ * @returns {Array}
+ */
+function scriptLoadAttrs(options) {
+    const attrs = [];
+    if (options.module) {
+        attrs.push({ name: 'type', value: 'module' });
+    }
+    if (options.nomodule) {
+        attrs.push({ name: 'nomodule', value: '' });
+    }
+    if (options.async) {
+        attrs.push({ name: 'async', value: '' });
+    }
+    if (options.defer) {
+        attrs.push({ name: 'defer', value: '' });
+    }
+    return attrs;
+}
+
 /**
  * mock a script node for parse5
  * @param options
@@ -112,25 +695,46 @@ function replaceNodesWithNodes(oldNodes, newNodes = []) {
  *      script tag's src attr
  * options.content {string}
  *      script tag's javascript content
+ * options.integrity {string}
+ *      script tag's integrity attr, only work with options.src
+ * options.crossorigin {string}
+ *      script tag's crossorigin attr, only work with options.integrity, default is anonymous
+ * options.async {boolean}
+ *      add async attr, only work with options.src
+ * options.defer {boolean}
+ *      add defer attr, only work with options.src
+ * options.module {boolean}
+ *      add type="module" attr
+ * options.nomodule {boolean}
+ *      add nomodule attr
+ * options.attrs {Array}
+ *      other attrs keep from html template node,eg: id nonce data-*
  * options.parentNode {parse5.Node}
  *      script node's parentNode
  * @returns {*}
  */
 function mockScriptNode(options) {
-    const { src, content, parentNode } = options;
+    const { src, content, integrity, crossorigin, attrs, parentNode } = options;
     if (typeof src === 'string') {
         return {
             nodeName: 'script',
             tagName: 'script',
             parentNode,
-            attrs: [{ name: 'src', value: src }]
+            attrs: appendAttrs([
+                { name: 'src', value: src },
+                ...scriptLoadAttrs(options),
+                ...integrityAttrs(integrity, crossorigin),
+            ], attrs)
         };
     } else if (typeof content === 'string') {
         const scriptNode = {
             nodeName: 'script',
             tagName: 'script',
             parentNode,
-            attrs: []
+            attrs: appendAttrs(scriptLoadAttrs({
+                module: options.module,
+                nomodule: options.nomodule,
+            }), attrs)
         };
         const textNode = {
             nodeName: "#text",
@@ -149,28 +753,35 @@ function mockScriptNode(options) {
  *      style link tag's href attr
  * options.content {string}
  *      style tag's javascript content
+ * options.integrity {string}
+ *      style link tag's integrity attr, only work with options.href
+ * options.crossorigin {string}
+ *      style link tag's crossorigin attr, only work with options.integrity, default is anonymous
+ * options.attrs {Array}
+ *      other attrs keep from html template node,eg: id media nonce data-*
  * options.parentNode {parse5.Node}
  *      style node's parentNode
  * @returns {*}
  */
 function mockStyleNode(options) {
-    const { href, content, parentNode } = options;
+    const { href, content, integrity, crossorigin, attrs, parentNode } = options;
     if (typeof href === 'string') {
         return {
             nodeName: 'link',
             tagName: 'link',
             parentNode,
-            attrs: [
+            attrs: appendAttrs([
                 { name: 'rel', value: 'stylesheet' },
                 { name: 'href', value: href },
-            ]
+                ...integrityAttrs(integrity, crossorigin),
+            ], attrs)
         };
     } else if (typeof content === 'string') {
         const styleNode = {
             nodeName: 'style',
             tagName: 'style',
             parentNode,
-            attrs: []
+            attrs: appendAttrs([], attrs)
         };
         const textNode = {
             nodeName: "#text",
@@ -182,6 +793,41 @@ function mockStyleNode(options) {
     }
 }
 
+/**
+ * mock a resource hint link node for parse5
+ * @param options
+ * options.rel {string}
+ *      link tag's rel attr,one of preload prefetch preconnect
+ * options.href {string}
+ *      link tag's href attr
+ * options.as {string}
+ *      link tag's as attr,only for preload,one of script style
+ * options.integrity {string}
+ *      link tag's integrity attr,only for preload
+ * options.crossorigin {string}
+ *      link tag's crossorigin attr,only work with options.integrity
+ * options.parentNode {parse5.Node}
+ *      link node's parentNode
+ * @returns {*}
+ */
+function mockResourceHintNode(options) {
+    const { rel, href, as, integrity, crossorigin, parentNode } = options;
+    const attrs = [
+        { name: 'rel', value: rel },
+        { name: 'href', value: href },
+    ];
+    if (typeof as === 'string') {
+        attrs.push({ name: 'as', value: as });
+    }
+    attrs.push(...integrityAttrs(integrity, crossorigin));
+    return {
+        nodeName: 'link',
+        tagName: 'link',
+        parentNode,
+        attrs,
+    };
+}
+
 /**
  * get file's name for a file
  * /data/www/index.html => index.html
@@ -193,24 +839,72 @@ function getFilenameByFilePath(filePath) {
     return parse.name + parse.ext;
 }
 
+/**
+ * whether url is relative to current page,eg: '' 'static/' but not '/static/' '//cdn.com/' 'https://cdn.com/'
+ * @param assetUrl
+ * @returns {boolean}
+ */
+function isRelativeUrl(assetUrl) {
+    return !/^([a-z][a-z\d+.-]*:|\/)/i.test(assetUrl);
+}
+
 /**
  * get publicPath config in webpack
+ * relative publicPath is relative to output path,for html output in sub dir of output path it's converted to be relative to html file,
+ * eg: '' is converted to '../' for admin/users.html
  * @param compilation
+ * @param htmlFilename html output filename,undefined means publicPath relative to output path
  * @returns {*|string}
  */
-function getPublicPath(compilation) {
+function getPublicPath(compilation, htmlFilename) {
     //noinspection JSUnresolvedVariable
-    return compilation.compiler.options.output.publicPath || '';
+    let { publicPath } = compilation.compiler.options.output;
+    // webpack 5 default publicPath 'auto' is resolved in browser, html is output in output.path so use relative path
+    if (typeof publicPath !== 'string' || publicPath === 'auto') {
+        publicPath = '';
+    }
+    if (htmlFilename !== undefined && isRelativeUrl(publicPath)) {
+        const htmlDir = path.posix.dirname(htmlFilename.split(path.sep).join('/'));
+        const outputRoot = path.posix.relative(htmlDir, '.');
+        if (outputRoot.length > 0) {
+            publicPath = url.resolve(`${outputRoot}/`, publicPath);
+        }
+    }
+    return publicPath;
 }
 
 module.exports = {
     isProduction,
     addFileToWebpackOutput,
-    isExtractStyle,
+    getAssetSource,
+    removeAsset,
+    restoreAsset,
+    addFileDependency,
+    addContextDependency,
+    onEmit,
+    onWatchRun,
+    onThisCompilation,
+    onDone,
+    onHash,
+    isHooksCompiler,
+    getChunks,
+    getEntrypoint,
+    getChunkFiles,
+    getChunkNameFiles,
+    getChunkNames,
+    getChunkNameAsyncFiles,
     isHotUpdateCompilation,
     replaceNodesWithNodes,
+    getAttr,
+    findScriptStyleNodes,
+    getInlineContent,
+    toInlineContent,
     mockScriptNode,
     mockStyleNode,
+    mockResourceHintNode,
     getFilenameByFilePath,
+    isRelativeUrl,
     getPublicPath,
+    IntegrityAlgorithms,
+    getIntegrity,
 }
\ No newline at end of file